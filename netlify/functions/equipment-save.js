@@ -1,22 +1,70 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fitment = require('./fitment');
+
 const STORE = process.env.SHOPIFY_STORE_DOMAIN;
 const TOKEN = process.env.SHOPIFY_ADMIN_ACCESS_TOKEN;
+const API_VERSION = '2024-07'; // metafieldsSet compareDigest needs 2024-07 or later
+const WRITE_ATTEMPTS = 3; // read-modify-write retries when another save lands in between
+
+// Who may call this function:
+//   storefront  requests forwarded by the Shopify App Proxy, signed with SHOPIFY_APP_PROXY_SECRET
+//               (the app's client secret). They only ever see logged_in_customer_id's list.
+//   staff       the admin page, sending x-admin-token = EQUIPMENT_ADMIN_TOKEN. Any customer.
+// Browsers on other origins are only let in when listed in EQUIPMENT_ALLOWED_ORIGINS.
+const PROXY_SECRET = process.env.SHOPIFY_APP_PROXY_SECRET;
+const ADMIN_TOKEN = process.env.EQUIPMENT_ADMIN_TOKEN;
+const PROXY_MAX_AGE_SECONDS = 300;
+const ALLOWED_ORIGINS = (process.env.EQUIPMENT_ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+const STAFF_ONLY_ACTIONS = ['list-customers'];
+
+// Change history backend (see CHANGE HISTORY below): supabase | file | none.
+// Defaults to supabase when it is configured, else none: history and restore then answer 501
+// rather than serving whatever one container happens to remember. file is for local testing.
+const HISTORY_STORE = process.env.EQUIPMENT_HISTORY_STORE ||
+  (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY ? 'supabase' : 'none');
+const HISTORY_FILE = process.env.EQUIPMENT_HISTORY_FILE || '/tmp/equipment-history.jsonl';
+
+// Version of a stored equipment list: its updatedAt, or "0" when nothing is saved yet.
+// Saves pass it back as ifVersion.
+const listVersion = (updatedAt) => updatedAt || '0';
 
 exports.handler = async (event) => {
+  const requestHeaders = {};
+  for (const k of Object.keys(event.headers || {})) requestHeaders[k.toLowerCase()] = event.headers[k];
+
   const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Admin-Token',
     'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
     'Content-Type': 'application/json'
   };
+  if (ALLOWED_ORIGINS.includes(requestHeaders.origin)) {
+    headers['Access-Control-Allow-Origin'] = requestHeaders.origin;
+    headers['Vary'] = 'Origin';
+  }
 
   // Handle CORS preflight
   if (event.httpMethod === 'OPTIONS') {
     return { statusCode: 200, headers, body: '' };
   }
 
+  const auth = authenticate(event, requestHeaders);
+  if (!auth) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Sign in to your account to manage saved equipment' })
+    };
+  }
+
   // GET requests (Admin API)
   if (event.httpMethod === 'GET') {
-    const params = event.queryStringParameters || {};
+    const params = Object.assign({}, event.queryStringParameters);
+    if (auth.role !== 'staff' && STAFF_ONLY_ACTIONS.includes(params.action)) {
+      return { statusCode: 403, headers, body: JSON.stringify({ error: 'Staff access required' }) };
+    }
+    // A storefront customer only ever gets their own list, whatever the request says
+    if (auth.role === 'customer') params.customerId = auth.customerId;
     
     if (params.action === 'list-customers') {
       return await listCustomersWithEquipment(headers, params);
@@ -25,11 +73,23 @@ exports.handler = async (event) => {
     if (params.action === 'get-customer' && params.customerId) {
       return await getCustomerEquipment(headers, params.customerId);
     }
+
+    if (params.action === 'get-parts' && params.customerId) {
+      return await getRecommendedParts(headers, params.customerId);
+    }
+
+    if (params.action === 'get-kits' && params.customerId) {
+      return await getServiceKits(headers, params.customerId, params.machineId);
+    }
+
+    if (params.action === 'history' && params.customerId) {
+      return await getEquipmentHistory(headers, params.customerId, params.limit);
+    }
     
     return {
       statusCode: 400,
       headers,
-      body: JSON.stringify({ error: 'Invalid action. Use action=list-customers or action=get-customer&customerId=ID' })
+      body: JSON.stringify({ error: 'Invalid action. Use action=list-customers, action=get-customer&customerId=ID, action=get-parts&customerId=ID, action=get-kits&customerId=ID[&machineId=ID] or action=history&customerId=ID' })
     };
   }
 
@@ -46,7 +106,8 @@ exports.handler = async (event) => {
       };
     }
 
-    const { customerId, equipmentData, action, equipment } = body;
+    const { equipmentData, action, equipment, ifVersion, id, validate } = body;
+    const customerId = auth.role === 'customer' ? auth.customerId : body.customerId;
 
     if (!customerId) {
       return {
@@ -56,20 +117,56 @@ exports.handler = async (event) => {
       };
     }
 
+    // Every write carries the version it was based on, catalog validation and who made it (for history)
+    const opts = { ifVersion, validate, actor: auth };
+
     // Add single item
     if (action === 'add' && equipment) {
-      return await addSingleEquipment(headers, customerId, equipment);
+      return await addSingleEquipment(headers, customerId, equipment, opts);
+    }
+
+    // Item-level changes, keyed by machine id
+    if (['update', 'remove', 'set-favorite'].includes(action) && !id) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'id is required for action=' + action })
+      };
+    }
+    if (action === 'update' && equipment) {
+      return await updateEquipmentItem(headers, customerId, id, equipment, opts);
+    }
+    if (action === 'remove') {
+      return await removeEquipmentItem(headers, customerId, id, opts);
+    }
+    if (action === 'set-favorite') {
+      return await setEquipmentFavorite(headers, customerId, id, body.favorite !== false, opts);
+    }
+    if (action === 'reorder' && Array.isArray(body.order)) {
+      return await reorderEquipment(headers, customerId, body.order, opts);
+    }
+
+    // Put back the list as it was at a version from action=history
+    if (action === 'restore') {
+      if (!body.version) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'version is required for action=restore' })
+        };
+      }
+      return await restoreEquipmentVersion(headers, customerId, String(body.version), opts);
     }
 
     // Full save/replace
     if (equipmentData) {
-      return await saveEquipmentData(headers, customerId, equipmentData);
+      return await saveEquipmentData(headers, customerId, equipmentData, opts);
     }
 
     return {
       statusCode: 400,
       headers,
-      body: JSON.stringify({ error: 'Invalid request. Provide equipmentData or action=add with equipment.' })
+      body: JSON.stringify({ error: 'Invalid request. Provide equipmentData, action=add or action=update with equipment, action=remove or action=set-favorite with id, or action=reorder with order, or action=restore with version.' })
     };
   }
 
@@ -80,6 +177,45 @@ exports.handler = async (event) => {
   };
 };
 
+// ============================================
+// AUTHENTICATION
+// ============================================
+// { role: 'staff' } | { role: 'customer', customerId } | null
+function authenticate(event, requestHeaders) {
+  if (ADMIN_TOKEN && safeEqual(requestHeaders['x-admin-token'], ADMIN_TOKEN)) {
+    return { role: 'staff' };
+  }
+
+  const query = event.multiValueQueryStringParameters || event.queryStringParameters || {};
+  if (!PROXY_SECRET || !query.signature) return null;
+  const signature = [].concat(query.signature)[0];
+  if (!safeEqual(signature, proxySignature(query, PROXY_SECRET))) return null;
+
+  const timestamp = parseInt([].concat(query.timestamp)[0]);
+  if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > PROXY_MAX_AGE_SECONDS) return null;
+
+  // Signed but not logged in: Shopify sends an empty logged_in_customer_id
+  const customerId = [].concat(query.logged_in_customer_id)[0];
+  return customerId ? { role: 'customer', customerId: String(customerId) } : null;
+}
+
+// Shopify App Proxy signature: every query param except signature as key=value (repeated
+// values joined with ","), sorted, concatenated without separators, HMAC-SHA256 hex.
+function proxySignature(query, secret) {
+  const message = Object.keys(query)
+    .filter(k => k !== 'signature')
+    .map(k => k + '=' + [].concat(query[k]).join(','))
+    .sort()
+    .join('');
+  return crypto.createHmac('sha256', secret).update(message).digest('hex');
+}
+
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const x = Buffer.from(a), y = Buffer.from(b);
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
 // ============================================
 // LIST CUSTOMERS WITH EQUIPMENT
 // ============================================
@@ -113,7 +249,7 @@ async function listCustomersWithEquipment(headers, params) {
   if (cursor) variables.after = cursor;
 
   try {
-    const response = await fetch("https://" + STORE + "/admin/api/2024-01/graphql.json", {
+    const response = await fetch("https://" + STORE + "/admin/api/" + API_VERSION + "/graphql.json", {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -137,9 +273,11 @@ async function listCustomersWithEquipment(headers, params) {
       .filter(edge => edge.node.metafield && edge.node.metafield.value)
       .map(edge => {
         let equipmentCount = 0;
+        let updatedAt = null;
         try {
           const data = JSON.parse(edge.node.metafield.value);
           equipmentCount = data.machines ? data.machines.length : 0;
+          updatedAt = data.updatedAt || null;
         } catch (e) {}
         
         return {
@@ -147,7 +285,8 @@ async function listCustomersWithEquipment(headers, params) {
           email: edge.node.email,
           firstName: edge.node.firstName,
           lastName: edge.node.lastName,
-          equipmentCount: equipmentCount
+          equipmentCount: equipmentCount,
+          version: listVersion(updatedAt)
         };
       });
 
@@ -174,6 +313,34 @@ async function listCustomersWithEquipment(headers, params) {
 // GET SINGLE CUSTOMER EQUIPMENT
 // ============================================
 async function getCustomerEquipment(headers, customerId) {
+  const read = await readEquipment(headers, customerId);
+  if (read.response) return read.response;
+  const { customer, machines, updatedAt } = read.data;
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      customer: {
+        id: customerId,
+        email: customer.email,
+        firstName: customer.firstName,
+        lastName: customer.lastName,
+        phone: customer.phone,
+        createdAt: customer.createdAt
+      },
+      machines: machines,
+      updatedAt: updatedAt,
+      version: listVersion(updatedAt)
+    })
+  };
+}
+
+// The stored list as { data: { customer, machines, updatedAt, version, digest } }, or
+// { response } when it can't be read. digest is the metafield's compareDigest (null when the
+// customer has no list yet), which saves hand back to Shopify so stale writes are refused.
+async function readEquipment(headers, customerId) {
   const query = `
     query customer($id: ID!) {
       customer(id: $id) {
@@ -186,6 +353,7 @@ async function getCustomerEquipment(headers, customerId) {
         metafield(namespace: "custom", key: "equipment_list") {
           value
           updatedAt
+          compareDigest
         }
       }
     }
@@ -194,7 +362,7 @@ async function getCustomerEquipment(headers, customerId) {
   const variables = { id: "gid://shopify/Customer/" + customerId };
 
   try {
-    const response = await fetch("https://" + STORE + "/admin/api/2024-01/graphql.json", {
+    const response = await fetch("https://" + STORE + "/admin/api/" + API_VERSION + "/graphql.json", {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -207,17 +375,21 @@ async function getCustomerEquipment(headers, customerId) {
 
     if (result.errors) {
       return {
-        statusCode: 500,
-        headers,
-        body: JSON.stringify({ error: 'GraphQL error', details: result.errors })
+        response: {
+          statusCode: 500,
+          headers,
+          body: JSON.stringify({ error: 'GraphQL error', details: result.errors })
+        }
       };
     }
 
     if (!result.data.customer) {
       return {
-        statusCode: 404,
-        headers,
-        body: JSON.stringify({ error: 'Customer not found' })
+        response: {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Customer not found' })
+        }
       };
     }
 
@@ -233,25 +405,107 @@ async function getCustomerEquipment(headers, customerId) {
       } catch (e) {}
     }
 
+    return {
+      data: {
+        customer,
+        machines,
+        updatedAt,
+        version: listVersion(updatedAt),
+        digest: customer.metafield ? customer.metafield.compareDigest : null
+      }
+    };
+  } catch (error) {
+    console.error('Get customer error:', error);
+    return {
+      response: {
+        statusCode: 500,
+        headers,
+        body: JSON.stringify({ error: 'Server error', message: error.message })
+      }
+    };
+  }
+}
+
+// ============================================
+// RECOMMENDED PARTS FOR SAVED EQUIPMENT
+// ============================================
+async function getRecommendedParts(headers, customerId) {
+  const getResult = await getCustomerEquipment(headers, customerId);
+  if (getResult.statusCode !== 200) return getResult;
+  const getData = JSON.parse(getResult.body);
+
+  try {
+    const D = await fitment.getData();
+    const { machines } = fitment.matchFleet(D, getData.machines);
+
     return {
       statusCode: 200,
       headers,
       body: JSON.stringify({
         success: true,
-        customer: {
-          id: customerId,
-          email: customer.email,
-          firstName: customer.firstName,
-          lastName: customer.lastName,
-          phone: customer.phone,
-          createdAt: customer.createdAt
-        },
-        machines: machines,
-        updatedAt: updatedAt
+        customerId: customerId,
+        catalogVersion: D.version,
+        machines: machines.map((match, i) => ({
+          machine: getData.machines[i],
+          dataset: match.dataset,
+          canonical: match.canonical,
+          error: match.error,
+          parts: match.skus.map(sku => ({ sku, crossRef: fitment.crossRefsFor(D, [sku]) })),
+          superseded: match.superseded
+        })),
+        updatedAt: getData.updatedAt,
+        version: getData.version
       })
     };
   } catch (error) {
-    console.error('Get customer error:', error);
+    console.error('Get parts error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Server error', message: error.message })
+    };
+  }
+}
+
+// ============================================
+// SERVICE KITS FOR SAVED EQUIPMENT
+// ============================================
+// One kit per saved machine (or just machineId), built like fitment.js ?kit=
+async function getServiceKits(headers, customerId, machineId) {
+  const getResult = await getCustomerEquipment(headers, customerId);
+  if (getResult.statusCode !== 200) return getResult;
+  const getData = JSON.parse(getResult.body);
+
+  const machines = machineId ? getData.machines.filter(m => m.id === machineId) : getData.machines;
+  if (machineId && !machines.length) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Machine not found', machineId })
+    };
+  }
+
+  try {
+    const D = await fitment.getData();
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        customerId: customerId,
+        catalogVersion: D.version,
+        machines: machines.map(m => {
+          if (!['make', 'model', 'year'].some(k => m[k] && String(m[k]).trim())) {
+            return { machine: m, kit: null, error: 'make, model or year is required' };
+          }
+          return Object.assign({ machine: m }, fitment.kitFor(D, m));
+        }),
+        updatedAt: getData.updatedAt,
+        version: getData.version
+      })
+    };
+  } catch (error) {
+    console.error('Get kits error:', error);
     return {
       statusCode: 500,
       headers,
@@ -263,7 +517,9 @@ async function getCustomerEquipment(headers, customerId) {
 // ============================================
 // SAVE EQUIPMENT DATA (FULL REPLACE)
 // ============================================
-async function saveEquipmentData(headers, customerId, equipmentData) {
+async function saveEquipmentData(headers, customerId, equipmentData, opts = {}) {
+  const { ifVersion, validate } = opts;
+
   // Validate
   if (!equipmentData.machines || !Array.isArray(equipmentData.machines)) {
     return {
@@ -291,40 +547,89 @@ async function saveEquipmentData(headers, customerId, equipmentData) {
   }
 
   // Sanitize
-  const sanitized = {
-    machines: equipmentData.machines.map(sanitizeMachine),
-    updatedAt: new Date().toISOString()
-  };
+  const machines = equipmentData.machines.map(sanitizeMachine);
+
+  let validation;
+  if (validate) {
+    const checked = await checkMachines(headers, machines);
+    if (checked.response) return checked.response;
+    validation = checked.validation;
+    if (validate === 'strict' && hasErrors(validation)) return invalidMachines(headers, validation);
+  }
+
+  // Every save is a compare-and-swap on the metafield: the current list is read (or taken from
+  // opts.current when the caller just read it), a caller's ifVersion must still match it, and
+  // the write carries its compareDigest so Shopify refuses it if anything else wrote in between.
+  // Without ifVersion a refused write is retried on the new list; with one it is a 409.
+  const pinned = ifVersion !== undefined && ifVersion !== null;
+  let current = opts.current;
+  for (let attempt = 1; ; attempt++) {
+    if (!current) {
+      const read = await readEquipment(headers, customerId);
+      if (read.response) return read.response;
+      current = read.data;
+    }
+    if (pinned && String(ifVersion) !== current.version) return versionConflict(headers, current);
+    if (!validate) applyCatalogMatch(machines, current.machines || [], opts.checked);
+
+    let updatedAt = new Date().toISOString();
+    if (updatedAt === current.version) updatedAt = new Date(Date.now() + 1).toISOString(); // every save gets a new version
+    const sanitized = {
+      machines: machines,
+      updatedAt: updatedAt
+    };
+
+    const written = await writeEquipment(headers, customerId, sanitized, current.digest);
+    if (written.stale) {
+      current = null;
+      if (!pinned && attempt < WRITE_ATTEMPTS) continue;
+      const read = await readEquipment(headers, customerId);
+      return read.response || versionConflict(headers, read.data);
+    }
+    if (written.response) return written.response;
+
+    await recordHistory(customerId, current, sanitized, opts);
 
-  // Save to Shopify
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ success: true, data: sanitized, version: listVersion(sanitized.updatedAt), validation })
+    };
+  }
+}
+
+// Writes the list with metafieldsSet. digest is the compareDigest it was read with (null: the
+// list must not exist yet). Returns {} on success, { stale: true } when Shopify refused the
+// write because the list changed since, or { response } for any other failure.
+async function writeEquipment(headers, customerId, data, digest) {
   const mutation = `
-    mutation customerUpdate($input: CustomerInput!) {
-      customerUpdate(input: $input) {
-        customer {
+    mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        metafields {
           id
         }
         userErrors {
           field
           message
+          code
         }
       }
     }
   `;
 
   const variables = {
-    input: {
-      id: "gid://shopify/Customer/" + customerId,
-      metafields: [{
-        namespace: "custom",
-        key: "equipment_list",
-        value: JSON.stringify(sanitized),
-        type: "json"
-      }]
-    }
+    metafields: [{
+      ownerId: "gid://shopify/Customer/" + customerId,
+      namespace: "custom",
+      key: "equipment_list",
+      value: JSON.stringify(data),
+      type: "json",
+      compareDigest: digest || null
+    }]
   };
 
   try {
-    const response = await fetch("https://" + STORE + "/admin/api/2024-01/graphql.json", {
+    const response = await fetch("https://" + STORE + "/admin/api/" + API_VERSION + "/graphql.json", {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -338,27 +643,398 @@ async function saveEquipmentData(headers, customerId, equipmentData) {
     if (result.errors) {
       console.error('GraphQL errors:', result.errors);
       return {
-        statusCode: 500,
-        headers,
-        body: JSON.stringify({ error: 'GraphQL error', details: result.errors })
+        response: {
+          statusCode: 500,
+          headers,
+          body: JSON.stringify({ error: 'GraphQL error', details: result.errors })
+        }
       };
     }
 
-    if (result.data?.customerUpdate?.userErrors?.length) {
+    const userErrors = result.data?.metafieldsSet?.userErrors || [];
+    if (userErrors.some(e => e.code === 'STALE_OBJECT')) return { stale: true };
+    if (userErrors.length) {
       return {
-        statusCode: 400,
+        response: {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Validation error', details: userErrors })
+        }
+      };
+    }
+    return {};
+  } catch (error) {
+    console.error('Save error:', error);
+    return {
+      response: {
+        statusCode: 500,
+        headers,
+        body: JSON.stringify({ error: 'Server error', message: error.message })
+      }
+    };
+  }
+}
+
+// 409 for a stale ifVersion, with the current list so the client can redo its change on it
+function versionConflict(headers, currentData) {
+  return {
+    statusCode: 409,
+    headers,
+    body: JSON.stringify({
+      error: 'Equipment list was changed by someone else. Reload and try again.',
+      version: currentData.version,
+      machines: currentData.machines,
+      updatedAt: currentData.updatedAt
+    })
+  };
+}
+
+// ============================================
+// READ-MODIFY-WRITE
+// ============================================
+// change(machines) returns { machines, id } (id = the item to return) or { statusCode, error },
+// plus { validation, strict } when the changed item was checked against the catalog.
+// With ifVersion the caller's view must still be current (409 otherwise); without it a
+// concurrent save just means re-reading and applying the change again.
+async function modifyEquipment(headers, customerId, opts, action, change, withList) {
+  const ifVersion = opts.ifVersion;
+  for (let attempt = 1; ; attempt++) {
+    const read = await readEquipment(headers, customerId);
+    if (read.response) return read.response;
+    const getData = read.data;
+    const pinned = ifVersion !== undefined && ifVersion !== null;
+    if (pinned && String(ifVersion) !== getData.version) return versionConflict(headers, getData);
+
+    const result = change(getData.machines || []);
+    if (result.validation && result.strict && hasErrors(result.validation)) return invalidMachines(headers, result.validation);
+    if (result.error) {
+      return {
+        statusCode: result.statusCode || 400,
         headers,
-        body: JSON.stringify({ error: 'Validation error', details: result.data.customerUpdate.userErrors })
+        body: JSON.stringify({ error: result.error })
       };
     }
 
+    // The list just read is the one written over, so the save neither re-reads it nor retries on
+    // its own; a refused write comes back as 409 and is redone here on a fresh read.
+    const saveOpts = Object.assign({}, opts, { ifVersion: getData.version, current: getData, validate: undefined, checked: result.validation, action });
+    const saveResult = await saveEquipmentData(headers, customerId, { machines: result.machines }, saveOpts);
+    if (saveResult.statusCode === 409 && !pinned && attempt < WRITE_ATTEMPTS) continue;
+    if (saveResult.statusCode !== 200) return saveResult;
+
+    const saved = JSON.parse(saveResult.body);
+    const response = { success: true, version: saved.version };
+    if (result.id) response.item = saved.data.machines.find(m => m.id === result.id) || null;
+    if (result.removed) response.item = result.removed;
+    if (result.order) response.order = saved.data.machines.map(m => m.id);
+    if (result.validation) response.validation = result.validation;
+    if (withList) response.data = saved.data;
+    return { statusCode: 200, headers, body: JSON.stringify(response) };
+  }
+}
+
+const findItem = (machines, id) => machines.findIndex(m => m.id === id);
+const notFound = (id) => ({ statusCode: 404, error: 'Equipment item not found: ' + id });
+
+// ============================================
+// ADD SINGLE EQUIPMENT ITEM
+// ============================================
+async function addSingleEquipment(headers, customerId, equipment, opts) {
+  const validate = opts.validate;
+  const item = sanitizeMachine(equipment);
+  let validation;
+  if (validate) {
+    const checked = await checkMachines(headers, [item]);
+    if (checked.response) return checked.response;
+    validation = checked.validation;
+  }
+  return await modifyEquipment(headers, customerId, opts, 'add', machines => {
+    if (machines.length >= 500) return { error: 'Maximum 500 equipment items allowed' };
+    return { machines: machines.concat(item), id: item.id, validation, strict: validate === 'strict' };
+  }, true);
+}
+
+// ============================================
+// UPDATE / REMOVE / FAVORITE / REORDER ITEMS
+// ============================================
+async function updateEquipmentItem(headers, customerId, id, equipment, opts) {
+  const validate = opts.validate;
+  let D = null;
+  if (validate) {
+    try { D = await fitment.getData(); }
+    catch (error) { return validationFailed(headers, error); }
+  }
+  return await modifyEquipment(headers, customerId, opts, 'update', machines => {
+    const i = findItem(machines, id);
+    if (i < 0) return notFound(id);
+    const favorites = machines.filter(m => m.favorite && m.id !== id).length;
+    if (equipment.favorite && favorites >= 4) return { error: 'Maximum 4 favorites allowed' };
+    const next = machines.slice();
+    next[i] = Object.assign({}, machines[i], equipment, { id: machines[i].id, createdAt: machines[i].createdAt });
+    let validation;
+    try { validation = D ? checkMachinesWith(D, [next[i]]) : undefined; }
+    catch (error) {
+      console.error('Catalog validation error:', error);
+      return { statusCode: 500, error: 'Catalog validation failed: ' + error.message };
+    }
+    return { machines: next, id, validation, strict: validate === 'strict' };
+  });
+}
+
+async function removeEquipmentItem(headers, customerId, id, opts) {
+  return await modifyEquipment(headers, customerId, opts, 'remove', machines => {
+    const i = findItem(machines, id);
+    if (i < 0) return notFound(id);
+    return { machines: machines.filter(m => m.id !== id), removed: machines[i] };
+  });
+}
+
+async function setEquipmentFavorite(headers, customerId, id, favorite, opts) {
+  return await modifyEquipment(headers, customerId, opts, 'set-favorite', machines => {
+    const i = findItem(machines, id);
+    if (i < 0) return notFound(id);
+    const favorites = machines.filter(m => m.favorite && m.id !== id).length;
+    if (favorite && favorites >= 4) return { error: 'Maximum 4 favorites allowed' };
+    const next = machines.slice();
+    next[i] = Object.assign({}, machines[i], { favorite });
+    return { machines: next, id };
+  });
+}
+
+// order lists item ids; they move to the front in that order, anything unlisted keeps its place after them.
+async function reorderEquipment(headers, customerId, order, opts) {
+  return await modifyEquipment(headers, customerId, opts, 'reorder', machines => {
+    const ids = [...new Set(order.map(String))];
+    const unknown = ids.filter(id => findItem(machines, id) < 0);
+    if (unknown.length) return notFound(unknown.join(', '));
+    const listed = ids.map(id => machines[findItem(machines, id)]);
+    return { machines: listed.concat(machines.filter(m => !ids.includes(m.id))), order: true };
+  });
+}
+
+// ============================================
+// CATALOG VALIDATION
+// ============================================
+// validate: true checks machines against the fitment catalog and reports per-item errors,
+// warnings and suggested catalog values; validate: 'strict' also refuses to save (422) when
+// any item has errors. Checked machines are stored with catalogMatch.
+// { validation }, or { response } (500) when the catalog can't be loaded or a machine can't be checked.
+async function checkMachines(headers, machines) {
+  try {
+    return { validation: checkMachinesWith(await fitment.getData(), machines) };
+  } catch (error) {
+    return { response: validationFailed(headers, error) };
+  }
+}
+
+function checkMachinesWith(D, machines) {
+  return machines.map(m => {
+    const result = fitment.validateMachine(D, m);
+    m.catalogMatch = result.catalogMatch;
+    return Object.assign({ id: m.id, name: m.name }, result);
+  });
+}
+
+function validationFailed(headers, error) {
+  console.error('Catalog validation error:', error);
+  return {
+    statusCode: 500,
+    headers,
+    body: JSON.stringify({ error: 'Catalog validation failed', message: error.message })
+  };
+}
+
+// catalogMatch is never taken from the client. On a save without validate, a machine keeps it
+// when this request checked it (checked: validation entries), or when the stored item with the
+// same id had one and none of its catalog fields changed.
+const CATALOG_FIELDS = ['category', 'make', 'type', 'submodel', 'model', 'variant', 'year', 'trim', 'engine', 'serial'];
+
+function applyCatalogMatch(machines, stored, checked) {
+  const byId = new Map(stored.map(m => [m.id, m]));
+  const fromCheck = new Map((checked || []).map(v => [v.id, v.catalogMatch]));
+  for (const m of machines) {
+    delete m.catalogMatch;
+    const prev = byId.get(m.id);
+    if (fromCheck.has(m.id)) m.catalogMatch = fromCheck.get(m.id);
+    else if (prev && typeof prev.catalogMatch === 'boolean' &&
+      CATALOG_FIELDS.every(f => (prev[f] || '') === (m[f] || ''))) m.catalogMatch = prev.catalogMatch;
+  }
+}
+
+const hasErrors = (validation) => validation.some(v => v.errors.length);
+
+function invalidMachines(headers, validation) {
+  return {
+    statusCode: 422,
+    headers,
+    body: JSON.stringify({ error: 'Some machines do not pass catalog validation', validation })
+  };
+}
+
+// ============================================
+// CHANGE HISTORY
+// ============================================
+// Append-only: one entry per successful save with who made it, the per-item diff and the list
+// it produced, so any recorded version (or the one right before it) can be restored.
+const HISTORY_FIELDS = ['name', 'category', 'make', 'type', 'submodel', 'model', 'variant', 'year', 'trim', 'engine', 'serial', 'favorite', 'catalogMatch'];
+
+function diffMachines(before, after) {
+  const byId = list => new Map(list.map(m => [m.id, m]));
+  const old = byId(before), now = byId(after);
+  const added = after.filter(m => !old.has(m.id));
+  const removed = before.filter(m => !now.has(m.id));
+  const changed = [];
+  for (const m of after) {
+    const prev = old.get(m.id);
+    if (!prev) continue;
+    const fields = HISTORY_FIELDS.filter(f => String(prev[f] == null ? '' : prev[f]) !== String(m[f] == null ? '' : m[f]));
+    if (fields.length) changed.push({ id: m.id, fields, before: prev, after: m });
+  }
+  const kept = ids => ids.filter(id => old.has(id) && now.has(id)).join('|');
+  const reordered = kept(before.map(m => m.id)) !== kept(after.map(m => m.id));
+  return { added, removed, changed, reordered, previousOrder: before.map(m => m.id) };
+}
+
+// The list an entry replaced, rebuilt from its diff
+function listBefore(entry) {
+  const after = new Map(entry.machines.map(m => [m.id, m]));
+  const removed = new Map(entry.diff.removed.map(m => [m.id, m]));
+  const changed = new Map(entry.diff.changed.map(c => [c.id, c.before]));
+  return entry.diff.previousOrder.map(id => removed.get(id) || changed.get(id) || after.get(id)).filter(Boolean);
+}
+
+const historyHeaders = () => ({
+  'apikey': process.env.SUPABASE_SERVICE_KEY,
+  'Authorization': `Bearer ${process.env.SUPABASE_SERVICE_KEY}`,
+  'Content-Type': 'application/json'
+});
+
+const fromHistoryRow = (r) => ({
+  customerId: r.customer_id, version: r.version, previousVersion: r.previous_version, at: r.created_at,
+  actor: { role: r.actor_role, id: r.actor_id }, action: r.action, diff: r.diff, machines: r.machines
+});
+
+const HISTORY_STORES = {
+  // equipment_history: customer_id, version, previous_version, created_at, actor_role, actor_id, action, diff (jsonb), machines (jsonb)
+  supabase: {
+    async append(entry) {
+      const res = await fetch(`${process.env.SUPABASE_URL}/rest/v1/equipment_history`, {
+        method: 'POST',
+        headers: historyHeaders(),
+        body: JSON.stringify({
+          customer_id: entry.customerId, version: entry.version, previous_version: entry.previousVersion,
+          created_at: entry.at, actor_role: entry.actor.role, actor_id: entry.actor.id,
+          action: entry.action, diff: entry.diff, machines: entry.machines
+        })
+      });
+      if (!res.ok) throw new Error('Supabase HTTP ' + res.status);
+    },
+    // Newest first
+    async list(customerId, limit) {
+      const res = await fetch(
+        `${process.env.SUPABASE_URL}/rest/v1/equipment_history?customer_id=eq.${encodeURIComponent(customerId)}&order=created_at.desc&limit=${limit}`,
+        { headers: historyHeaders() }
+      );
+      if (!res.ok) throw new Error('Supabase HTTP ' + res.status);
+      return (await res.json()).map(fromHistoryRow);
+    },
+    // Entries that produced or replaced version
+    async find(customerId, version) {
+      const v = '"' + version.replace(/"/g, '') + '"';
+      const res = await fetch(
+        `${process.env.SUPABASE_URL}/rest/v1/equipment_history?customer_id=eq.${encodeURIComponent(customerId)}` +
+        `&or=${encodeURIComponent('(version.eq.' + v + ',previous_version.eq.' + v + ')')}&order=created_at.desc`,
+        { headers: historyHeaders() }
+      );
+      if (!res.ok) throw new Error('Supabase HTTP ' + res.status);
+      return (await res.json()).map(fromHistoryRow);
+    }
+  },
+  file: {
+    async append(entry) { fs.appendFileSync(HISTORY_FILE, JSON.stringify(entry) + '\n'); },
+    async list(customerId, limit) {
+      let text = '';
+      try { text = fs.readFileSync(HISTORY_FILE, 'utf8'); } catch (e) { return []; }
+      const out = [];
+      for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        try { const e = JSON.parse(line); if (e.customerId === customerId) out.push(e); } catch (err) {} // skip torn lines
+      }
+      return out.reverse().slice(0, limit);
+    },
+    async find(customerId, version) {
+      return (await this.list(customerId, Infinity)).filter(e => e.version === version || e.previousVersion === version);
+    }
+  },
+  none: { async append() {}, async list() { return []; }, async find() { return []; } }
+};
+
+const historyStore = () => HISTORY_STORES[HISTORY_STORE] || HISTORY_STORES.none;
+const historyEnabled = () => historyStore() !== HISTORY_STORES.none;
+
+if (!HISTORY_STORES[HISTORY_STORE]) {
+  console.error('Unknown EQUIPMENT_HISTORY_STORE "' + HISTORY_STORE + '"; equipment history is off');
+} else if (HISTORY_STORE === 'file') {
+  console.warn('Equipment history is kept in ' + HISTORY_FILE + ', which is lost when this container is recycled');
+}
+
+function historyNotConfigured(headers) {
+  return {
+    statusCode: 501,
+    headers,
+    body: JSON.stringify({
+      error: 'Equipment history is not configured',
+      message: 'Set SUPABASE_URL and SUPABASE_SERVICE_KEY, or EQUIPMENT_HISTORY_STORE'
+    })
+  };
+}
+
+// Called after the metafield write succeeded; a failure here is logged, never turned into a failed save.
+async function recordHistory(customerId, currentData, saved, opts) {
+  if (!historyEnabled()) return;
+  const actor = opts.actor || {};
+  try {
+    await historyStore().append({
+      customerId: String(customerId),
+      version: listVersion(saved.updatedAt),
+      previousVersion: currentData.version,
+      at: saved.updatedAt,
+      actor: { role: actor.role || 'unknown', id: actor.role === 'customer' ? actor.customerId : null },
+      action: opts.action || 'save',
+      diff: diffMachines(currentData.machines || [], saved.machines),
+      machines: saved.machines
+    });
+  } catch (error) {
+    console.error('Equipment history error:', error.message);
+  }
+}
+
+async function getEquipmentHistory(headers, customerId, limit) {
+  if (!historyEnabled()) return historyNotConfigured(headers);
+  try {
+    const entries = await historyStore().list(String(customerId), Math.min(parseInt(limit) || 50, 500));
     return {
       statusCode: 200,
       headers,
-      body: JSON.stringify({ success: true, data: sanitized })
+      body: JSON.stringify({
+        success: true,
+        customerId: customerId,
+        history: entries.map(e => ({
+          version: e.version,
+          previousVersion: e.previousVersion,
+          at: e.at,
+          actor: e.actor,
+          action: e.action,
+          summary: { added: e.diff.added.length, removed: e.diff.removed.length, changed: e.diff.changed.length, reordered: e.diff.reordered },
+          added: e.diff.added,
+          removed: e.diff.removed,
+          changed: e.diff.changed.map(c => ({ id: c.id, fields: c.fields, before: c.before, after: c.after })),
+          count: e.machines.length
+        }))
+      })
     };
   } catch (error) {
-    console.error('Save error:', error);
+    console.error('History error:', error);
     return {
       statusCode: 500,
       headers,
@@ -367,24 +1043,35 @@ async function saveEquipmentData(headers, customerId, equipmentData) {
   }
 }
 
-// ============================================
-// ADD SINGLE EQUIPMENT ITEM
-// ============================================
-async function addSingleEquipment(headers, customerId, equipment) {
-  // First, get current equipment
-  const getResult = await getCustomerEquipment(headers, customerId);
-  const getData = JSON.parse(getResult.body);
-  
-  let machines = [];
-  if (getData.success && getData.machines) {
-    machines = getData.machines;
+// Saves the list as it was at version: the list an entry produced, or the one an entry replaced
+// (which covers the state before history was kept). The restore is itself a new history entry.
+async function restoreEquipmentVersion(headers, customerId, version, opts) {
+  if (!historyEnabled()) return historyNotConfigured(headers);
+  let machines = null;
+  try {
+    const entries = await historyStore().find(String(customerId), version);
+    const produced = entries.find(e => e.version === version);
+    const replaced = entries.find(e => e.previousVersion === version);
+    if (produced) machines = produced.machines;
+    else if (replaced) machines = listBefore(replaced);
+  } catch (error) {
+    console.error('Restore error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Server error', message: error.message })
+    };
   }
-
-  // Add new item
-  machines.push(sanitizeMachine(equipment));
-
-  // Save
-  return await saveEquipmentData(headers, customerId, { machines });
+  if (!machines) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'No history for version ' + version })
+    };
+  }
+  // The snapshot's catalogMatch flags were set by this function when it was saved
+  const checked = machines.filter(m => typeof m.catalogMatch === 'boolean').map(m => ({ id: m.id, catalogMatch: m.catalogMatch }));
+  return await saveEquipmentData(headers, customerId, { machines }, Object.assign({}, opts, { validate: undefined, checked, action: 'restore' }));
 }
 
 // ============================================
@@ -417,3 +1104,6 @@ function sanitizeMachine(machine) {
     updatedAt: new Date().toISOString()
   };
 }
+
+// Used by scripts/sign-proxy-request.js to sign local test requests.
+exports.proxySignature = proxySignature;
@@ -1,5 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
 
 // Proper CSV parser (RFC 4180): fields wrapped in double quotes may contain
 // commas and newlines, and "" inside a quoted field is a literal quote.
@@ -41,6 +43,110 @@ function parseCsv(text) {
   });
 }
 
+// ---------- Serial-number ranges ----------
+// Heavy-duty Variant text encodes serial breaks in a handful of shapes:
+//   "S/N (- GH100007 )", "S/N ( GH100008 - )", "S/N MNH 00001-99999",
+//   "S/N 72213 & Above", "S/N ( 1DW460E-F668588-708124 )", "Up To Machine S/N 366729".
+// Each is parsed into { prefix, start, end } (+ endPrefix / pin when present).
+// start/end are numbers or null for an open end. Unrecognised text yields [].
+const SN_TOKEN = '([A-Z0-9*/]*?)(\\d+)';
+const SN_PATTERNS = [
+  // John Deere PIN: model code, then plant/letter prefix + number, optional end
+  { re: /^(\d[A-Z0-9]{4,}[A-Z])_?\s*-\s*([A-Z/]*)(\d+|X+)\s*-\s*(?:([A-Z/]*)(\d+))?/,
+    build: m => ({ pin: m[1], prefix: m[2], start: /^X+$/.test(m[3]) ? null : +m[3], end: m[5] ? +m[5] : null, endPrefix: m[4] || m[2] }) },
+  // Caterpillar: three-character prefix, space, numeric range or "& Above"
+  { re: /^([A-Z0-9]{3})\s+(\d+)\s*(?:-\s*(\d+)?|&\s*ABOVE)/,
+    build: m => ({ prefix: m[1], start: +m[2], end: m[3] ? +m[3] : null }) },
+  // Caterpillar prefix on its own: "S/N H66 (Element Fuel Filter)", "S/N Prefix HAM"
+  { re: /^(?:PREFIX\s+)?(?=[A-Z0-9]*[A-Z])([A-Z0-9]{3})(?:\s+PREFIX)?(?=\s*(?:\(|$))/,
+    build: m => ({ prefix: m[1], start: null, end: null }) },
+  // "72213 & Above", "213001932 and Before", ">=H0001"
+  { re: new RegExp('^(>=)?\\s*' + SN_TOKEN + '\\s*(?:(?:&|AND)\\s*(ABOVE|UP|AFTER|BELOW|BEFORE)\\b|(?=\\s*(?:$|\\)|\\|)))'),
+    build: (m, dir) => {
+      const upper = m[4] ? /BELOW|BEFORE/.test(m[4]) : (m[1] ? false : dir === 'end');
+      if (!m[4] && !m[1] && !dir) return null; // a bare serial with no direction
+      return upper ? { prefix: m[2], start: null, end: +m[3] } : { prefix: m[2], start: +m[3], end: null };
+    } },
+  // "400000000-Up"
+  { re: new RegExp('^' + SN_TOKEN + '\\s*-\\s*UP\\b'),
+    build: m => ({ prefix: m[1], start: +m[2], end: null }) },
+  // "A - B", "- B", "A -"
+  { re: new RegExp('^(?:' + SN_TOKEN + ')?\\s*-\\s*(?:' + SN_TOKEN + ')?'),
+    build: m => {
+      if (!m[2] && !m[4]) return null;
+      const r = { prefix: m[2] ? m[1] : (m[3] || ''), start: m[2] ? +m[2] : null, end: m[4] ? +m[4] : null };
+      if (m[2] && m[4] && m[3] !== m[1]) r.endPrefix = m[3];
+      return r;
+    } }
+];
+
+function parseSerialRanges(text) {
+  const s = String(text || '').toUpperCase();
+  const re = /S\/N/g;
+  let hit;
+  while ((hit = re.exec(s))) {
+    const before = s.slice(Math.max(0, hit.index - 20), hit.index);
+    if (/TRANS|ENGINE|ENG\./.test(before)) continue; // component serial, not the machine's
+    const dir = /(UP TO|BEFORE)(\s+MACHINE)?\s*$/.test(before) ? 'end'
+      : /(FROM|AFTER)(\s+MACHINE)?\s*$/.test(before) ? 'start' : '';
+    const ranges = [];
+    let rest = s.slice(hit.index + 3);
+    for (;;) {
+      rest = rest.replace(/^[\s(]+/, '');
+      let range = null;
+      for (const p of SN_PATTERNS) {
+        const m = p.re.exec(rest);
+        if (m && (range = p.build(m, dir))) { rest = rest.slice(m[0].length); break; }
+      }
+      if (!range) break;
+      ranges.push(range);
+      // "( A- ) ( B- )" lists alternatives; anything else ends the expression
+      const more = /^\s*\)?\s*\(/.exec(rest);
+      if (!more) break;
+      rest = rest.slice(more[0].length);
+    }
+    return ranges;
+  }
+  return [];
+}
+
+// Split a customer-entered serial into its letter prefix and trailing number.
+function parseSerial(serial) {
+  const s = String(serial || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const m = /^(.*?)(\d+)$/.exec(s);
+  return m ? { raw: s, prefix: m[1], num: +m[2] } : { raw: s, prefix: s, num: null };
+}
+
+// A range prefix may use "*" for any one character and "C/D" for either letter.
+function prefixMatches(pattern, prefix) {
+  if (!pattern || !prefix) return true; // lenient when either side has no prefix
+  const src = pattern.replace(/[^A-Z0-9*/]/g, '')
+    .replace(/([A-Z0-9])\/([A-Z0-9])/g, '[$1$2]')
+    .replace(/\*/g, '.');
+  return new RegExp(src + '$').test(prefix);
+}
+
+function serialInRange(range, sn) {
+  if (sn.num == null) return false;
+  if (range.pin && sn.prefix.length > range.pin.length &&
+      sn.prefix.indexOf(range.pin.replace(/[^A-Z0-9]/g, '')) !== 0) return false;
+  const endPrefix = range.endPrefix != null ? range.endPrefix : range.prefix;
+  if (endPrefix === range.prefix || !sn.prefix) {
+    return prefixMatches(range.prefix, sn.prefix) &&
+      (range.start == null || sn.num >= range.start) &&
+      (range.end == null || sn.num <= range.end);
+  }
+  // Range spans two prefixes, e.g. "HH100001 - JJ103920"
+  if (prefixMatches(range.prefix, sn.prefix)) return range.start == null || sn.num >= range.start;
+  if (prefixMatches(endPrefix, sn.prefix)) return range.end == null || sn.num <= range.end;
+  return sn.prefix > range.prefix && sn.prefix < endPrefix;
+}
+
+// Rows with no serial break fit every serial; otherwise any listed range must contain it.
+function serialFits(ranges, sn) {
+  return !ranges || !ranges.length || ranges.some(r => serialInRange(r, sn));
+}
+
 function dedupe(rows, keyFn) {
   const seen = {}; const out = [];
   rows.forEach(r => { const k = keyFn(r); if (!seen[k]) { seen[k] = true; out.push(r); } });
@@ -67,9 +173,84 @@ const CORS = {
 
 const lc = s => (s == null ? '' : String(s).trim().toLowerCase());
 
-function readCsv(file) {
-  try { return parseCsv(fs.readFileSync(path.join(__dirname, file), 'utf8')); }
-  catch (e) { return []; } // a CSV may not exist yet
+// Brand label for our own SKUs in feeds and suggestions.
+const FEED_BRAND = process.env.STORE_NAME || 'Union Filters';
+
+// Machine-spec fields per dataset, in cascading-dropdown order.
+const SPEC_FIELDS = {
+  heavyDuty: ['make', 'type', 'submodel', 'model', 'variant', 'variant2'],
+  automotive: ['year', 'make', 'model', 'trim', 'engine', 'displacement', 'cylinders', 'layout', 'aspiration', 'fuel']
+};
+
+// OEM part numbers are printed inconsistently ("M131802", "M-131802", "m 131802").
+const partKey = s => lc(s).replace(/[\s-]+/g, '');
+
+// ---------- Catalog source ----------
+// CATALOG_URL (optional): base URL serving manifest.json ({ "version": "..." }) next to the
+//   CSVs below, by file name. The manifest is re-checked every CATALOG_CHECK_SECONDS
+//   (default 300) and the catalog is only re-fetched and re-indexed when its version changes.
+// Without CATALOG_URL, or while the remote source is failing (no answer within
+// CATALOG_TIMEOUT_SECONDS, default 5, or core datasets empty / missing columns), the CSVs
+// bundled with the function are used; their version is CATALOG_VERSION or a hash of their contents.
+const CATALOG_FILES = ['heavy-duty.csv', 'automotive-trucks.csv', 'cross-reference.csv', 'aliases.csv', 'filter-types.csv', 'supersessions.csv', 'kits.csv'];
+const CATALOG_OPTIONAL = ['aliases.csv', 'filter-types.csv', 'supersessions.csv', 'kits.csv']; // remote may omit these; bundled copy is used
+const CATALOG_URL = (process.env.CATALOG_URL || '').replace(/\/+$/, '');
+const CATALOG_CHECK_MS = (parseInt(process.env.CATALOG_CHECK_SECONDS) || 300) * 1000;
+const CATALOG_TIMEOUT_MS = (parseInt(process.env.CATALOG_TIMEOUT_SECONDS) || 5) * 1000;
+
+function readLocalFile(file) {
+  try { return fs.readFileSync(path.join(__dirname, file), 'utf8'); }
+  catch (e) {
+    // Optional tables may not exist yet; a missing dataset would silently empty the catalog.
+    if (!CATALOG_OPTIONAL.includes(file)) console.error('Catalog file unreadable:', file, e.message);
+    return '';
+  }
+}
+
+function localCatalog() {
+  const files = {};
+  const hash = crypto.createHash('sha1');
+  for (const f of CATALOG_FILES) {
+    files[f] = readLocalFile(f);
+    hash.update(f + '\0' + files[f] + '\0');
+  }
+  return { version: process.env.CATALOG_VERSION || 'local-' + hash.digest('hex').slice(0, 12), files };
+}
+
+async function remoteVersion(baseUrl) {
+  const res = await fetch(baseUrl + '/manifest.json', { signal: AbortSignal.timeout(CATALOG_TIMEOUT_MS) });
+  if (!res.ok) throw new Error('manifest.json: HTTP ' + res.status);
+  const manifest = await res.json();
+  if (!manifest || !manifest.version) throw new Error('manifest.json has no version');
+  return String(manifest.version);
+}
+
+async function remoteCatalog(baseUrl, version) {
+  const files = {};
+  await Promise.all(CATALOG_FILES.map(async f => {
+    const res = await fetch(baseUrl + '/' + f, { signal: AbortSignal.timeout(CATALOG_TIMEOUT_MS) });
+    if (res.ok) files[f] = await res.text();
+    else if (res.status === 404 && CATALOG_OPTIONAL.includes(f)) files[f] = readLocalFile(f);
+    else throw new Error(f + ': HTTP ' + res.status);
+  }));
+  return { version, files };
+}
+
+// A remote source can answer 200 with an empty file or an HTML error page; that must not
+// replace a working catalog. Throws when a core dataset has no rows or lacks its key columns.
+const CATALOG_REQUIRED = {
+  hd: ['heavy-duty.csv', ['sku', 'make', 'model']],
+  at: ['automotive-trucks.csv', ['sku', 'year', 'make', 'model']]
+};
+function checkCatalog(D) {
+  for (const k of Object.keys(CATALOG_REQUIRED)) {
+    const [file, columns] = CATALOG_REQUIRED[k];
+    if (!D[k].length) throw new Error(file + ' has no rows');
+    const missing = columns.filter(c => !(c in D[k][0]));
+    if (missing.length) throw new Error(file + ' is missing ' + missing.join(', '));
+  }
+  if (!D.xrefAll.length) throw new Error('cross-reference.csv has no usable rows');
+  return D;
 }
 
 // Build a Map of sku(lowercased) -> array of rows, for O(1) per-SKU lookups.
@@ -85,16 +266,378 @@ function indexBySku(rows, skuFn) {
   return m;
 }
 
-// Parsed + indexed ONCE per warm container, then reused across every request.
-// This is the key scaling change: no re-reading/re-parsing the CSVs per call.
+// ---------- Automotive engine strings ----------
+// The Engine column mixes trim, displacement, layout, aspiration and fuel
+// ("XL/XLT 3.3L V6 Flex", "12.8L L6 Turbo Diesel"). Each part is pulled out into its
+// own field with a fixed spelling; query values go through engineValue() to match.
+const ENGINE_FIELDS = ['displacement', 'cylinders', 'layout', 'aspiration', 'fuel'];
+const FUELS = [
+  [/hybrid/, 'Hybrid'], [/diesel/, 'Diesel'], [/bi-?fuel/, 'Bi-Fuel'], [/flex/, 'Flex Fuel'],
+  [/electric|^ev$/, 'Electric'], [/gas|petrol/, 'Gas']
+];
+
+function parseEngine(text) {
+  const s = lc(text);
+  const out = { displacement: '', cylinders: '', layout: '', aspiration: '', fuel: '' };
+  const disp = /(\d+(?:\.\d+)?)\s*l\b/.exec(s) || /(?:^|\s)(\d{1,2}\.\d)(?=\s|$)/.exec(s);
+  if (disp) out.displacement = engineValue('displacement', disp[1]);
+  const cyl = /\b([vliwh])(\d{1,2})\b/.exec(s);
+  if (cyl) {
+    out.layout = engineValue('layout', cyl[1]);
+    out.cylinders = String(+cyl[2]);
+  }
+  if (/turbo/.test(s)) out.aspiration = 'Turbo';
+  else if (/supercharg/.test(s)) out.aspiration = 'Supercharged';
+  out.fuel = engineValue('fuel', s);
+  return out;
+}
+
+// One spelling per value: "2.5" / "2.5l" -> "2.5L", "l" / "i" / "inline" -> "Inline", "gas" -> "Gas".
+function engineValue(field, value) {
+  const s = lc(value);
+  if (!s) return '';
+  switch (field) {
+    case 'displacement': { const n = parseFloat(s); return isNaN(n) ? '' : n.toFixed(1) + 'L'; }
+    case 'cylinders': { const n = parseInt(s.replace(/^[a-z]+/, ''), 10); return isNaN(n) ? '' : String(n); }
+    case 'layout': return /^(l|i|inline|straight)$/.test(s) ? 'Inline' : /^v$/.test(s) ? 'V'
+      : /^(h|flat|boxer)$/.test(s) ? 'Flat' : s.toUpperCase();
+    case 'aspiration': return /turbo/.test(s) ? 'Turbo' : /super/.test(s) ? 'Supercharged'
+      : /natural|^na$/.test(s) ? 'Naturally Aspirated' : '';
+    case 'fuel': { const hit = FUELS.find(f => f[0].test(s)); return hit ? hit[1] : ''; }
+  }
+  return s;
+}
+
+// ---------- Make / type / model aliases ----------
+// aliases.csv (Field,Alias,Canonical) maps spellings like "CAT" or "JD" onto the catalog's
+// own value. Lookups are keyed without case or punctuation, so "F150" also finds "F-150"
+// and "CASE" / "Case" collapse to one value. The catalog is rewritten to canonical values
+// when indexed and query values go through the same table, so both sides always agree.
+const ALIAS_FIELDS = ['make', 'type', 'model'];
+const aliasKey = v => lc(v).replace(/[^a-z0-9]/g, '');
+
+function buildAliases(aliasRows, catalogs) {
+  const A = {};
+  ALIAS_FIELDS.forEach(f => { A[f] = new Map(); });
+  for (const r of aliasRows) {
+    const map = A[lc(r.field)];
+    const canon = (r.canonical || '').trim();
+    if (!map || !canon) continue;
+    map.set(aliasKey(r.alias), canon);
+    if (!map.has(aliasKey(canon))) map.set(aliasKey(canon), canon);
+  }
+  // Spellings that only differ by case/punctuation settle on the first one the catalog uses.
+  for (const rows of catalogs) {
+    for (const r of rows) {
+      for (const f of ALIAS_FIELDS) {
+        const k = aliasKey(r[f]);
+        if (k && !A[f].has(k)) A[f].set(k, r[f]);
+      }
+    }
+  }
+  return A;
+}
+
+// Free text: swap whole words that are known aliases ("jd", "cat", "ztr") for their canonical value.
+function expandAliases(aliases, text) {
+  return String(text || '').split(/\s+/).map(w => {
+    const k = aliasKey(w);
+    for (const f of ALIAS_FIELDS) {
+      const c = k && aliases[f].get(k);
+      if (c && aliasKey(c) !== k) return c;
+    }
+    return w;
+  }).join(' ');
+}
+
+function canonical(aliases, field, value) {
+  const map = aliases[field];
+  const k = aliasKey(value);
+  return (map && k && map.get(k)) || (value == null ? '' : String(value).trim());
+}
+
+// ---------- Filter types ----------
+// filter-types.csv maps SKU prefixes (UAF, UOF, ...) to a filter type. Longest prefix wins,
+// so a more specific entry like "UAF-72" can override "UAF". Unmapped SKUs are "Other".
+function buildFilterTypes(rows) {
+  return rows
+    .map((r, i) => ({ prefix: lc(r.prefix), type: (r.filtertype || r.type || '').trim(), order: i }))
+    .filter(r => r.prefix && r.type)
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+}
+
+function filterTypeOf(types, sku) {
+  const k = lc(sku);
+  const hit = types.find(t => k.indexOf(t.prefix) === 0);
+  return hit ? hit.type : 'Other';
+}
+
+// Buckets in filter-types.csv order, "Other" last.
+function groupByFilterType(types, skus) {
+  const buckets = new Map();
+  for (const sku of skus) {
+    const type = filterTypeOf(types, sku);
+    if (!buckets.has(type)) buckets.set(type, []);
+    buckets.get(type).push(sku);
+  }
+  const rank = t => Math.min(Infinity, ...types.filter(x => x.type === t).map(x => x.order));
+  return [...buckets.keys()].sort((a, b) => rank(a) - rank(b)).map(type => ({ type, skus: buckets.get(type) }));
+}
+
+// ---------- SKU supersession ----------
+// supersessions.csv lists discontinued SKUs and their replacement (Old SKU,New SKU).
+// Replacements can themselves be superseded; lookups follow the chain to the SKU that is
+// orderable today and stop if the file ever loops back on itself.
+function buildSupersessions(rows) {
+  const next = new Map(); // old -> { from, to }
+  const prev = new Map(); // new -> [old, ...]
+  for (const r of rows) {
+    const from = (r.oldsku || '').trim();
+    const to = (r.newsku || '').trim();
+    if (!from || !to || lc(from) === lc(to)) continue;
+    next.set(lc(from), { from, to });
+    if (!prev.has(lc(to))) prev.set(lc(to), []);
+    prev.get(lc(to)).push(from);
+  }
+  return { next, prev };
+}
+
+// [requested, ..., current]; just [sku] when it was never superseded.
+function supersessionChain(S, sku) {
+  const first = S.next.get(lc(sku));
+  const chain = [first ? first.from : sku];
+  const seen = new Set([lc(sku)]);
+  for (let step = first; step && !seen.has(lc(step.to)); step = S.next.get(lc(step.to))) {
+    chain.push(step.to);
+    seen.add(lc(step.to));
+  }
+  return chain;
+}
+
+const currentSku = (S, sku) => { const c = supersessionChain(S, sku); return c[c.length - 1]; };
+
+// Current SKUs for a list (order kept, deduped) plus the history of every one that was replaced.
+function resolveSkus(S, skus) {
+  const out = [];
+  const superseded = [];
+  const seen = new Set();
+  for (const sku of skus) {
+    const chain = supersessionChain(S, sku);
+    const cur = chain[chain.length - 1];
+    if (chain.length > 1 && !superseded.some(x => lc(x.sku) === lc(sku))) {
+      superseded.push({ sku: chain[0], replacement: cur, chain, history: chain.join(' \u2192 ') });
+    }
+    if (!seen.has(lc(cur))) { seen.add(lc(cur)); out.push(cur); }
+  }
+  return { skus: out, superseded };
+}
+
+// A current SKU plus every SKU it replaced, so rows still listed under an old SKU are found.
+function withPredecessors(S, skus) {
+  const out = [];
+  const seen = new Set();
+  const walk = sku => {
+    if (seen.has(lc(sku))) return;
+    seen.add(lc(sku));
+    out.push(sku);
+    (S.prev.get(lc(sku)) || []).forEach(walk);
+  };
+  skus.forEach(walk);
+  return out;
+}
+
+// ---------- Free-text machine search ----------
+// Every deduped spec is tokenized into an inverted index (token -> spec -> field weight).
+// A query token matches vocabulary tokens exactly, by prefix, or within a small edit
+// distance, and every query token must match something for a spec to be returned.
+const TEXT_FIELDS = {
+  heavyDuty: { make: 3, type: 2, submodel: 2, model: 4, variant: 1, variant2: 1 },
+  automotive: { year: 2, make: 3, model: 4, trim: 1, engine: 1 }
+};
+
+function tokenize(text) {
+  const out = [];
+  for (const raw of lc(text).split(/\s+/)) {
+    const word = raw.replace(/[^a-z0-9.\-\/]/g, '').replace(/^[.\-\/]+|[.\-\/]+$/g, '');
+    if (!word) continue;
+    const compact = word.replace(/[\-\/]/g, '');
+    if (compact) out.push(compact); // "F-150" is also indexed as "f150"
+    for (const part of word.split(/[\-\/]/)) if (part && part !== compact) out.push(part);
+  }
+  return [...new Set(out)];
+}
+
+// Levenshtein distance, giving up as soon as it must exceed max.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (cur[j] < best) best = cur[j];
+    }
+    if (best > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// How well a query token matches a vocabulary token, 0..1.
+function tokenQuality(qt, t) {
+  if (qt === t) return 1;
+  if (qt.length >= 2 && t.indexOf(qt) === 0) return 0.8;
+  if (/\d/.test(qt) || qt.length < 3) return 0; // no typo tolerance on model numbers / short words
+  const d = editDistance(qt, t, qt.length >= 7 ? 2 : 1);
+  return d === 1 ? 0.6 : d === 2 ? 0.4 : 0;
+}
+
+function buildTextIndex(dropdown) {
+  const specs = [];
+  const postings = new Map();
+  for (const dataset of Object.keys(TEXT_FIELDS)) {
+    for (const spec of dropdown[dataset]) {
+      const i = specs.length;
+      specs.push({ dataset, spec });
+      for (const field of Object.keys(TEXT_FIELDS[dataset])) {
+        const w = TEXT_FIELDS[dataset][field];
+        for (const t of tokenize(spec[field])) {
+          let p = postings.get(t);
+          if (!p) { p = new Map(); postings.set(t, p); }
+          if (!(p.get(i) >= w)) p.set(i, w);
+        }
+      }
+    }
+  }
+  return { specs, postings, vocab: [...postings.keys()] };
+}
+
+function searchText(index, text, limit) {
+  const qts = tokenize(text);
+  if (!qts.length) return [];
+  // spec index -> best score for each query token
+  const perToken = qts.map(qt => {
+    const hits = new Map();
+    for (const t of index.vocab) {
+      const quality = tokenQuality(qt, t);
+      if (!quality) continue;
+      for (const [i, w] of index.postings.get(t)) {
+        const score = quality * w;
+        if (!(hits.get(i) >= score)) hits.set(i, score);
+      }
+    }
+    return hits;
+  });
+  perToken.sort((a, b) => a.size - b.size);
+  const results = [];
+  for (const [i, first] of perToken[0]) {
+    let score = first;
+    for (let k = 1; k < perToken.length && score; k++) {
+      const s = perToken[k].get(i);
+      score = s ? score + s : 0;
+    }
+    if (score) results.push({ i, score });
+  }
+  results.sort((a, b) => b.score - a.score || a.i - b.i);
+  return results.slice(0, limit).map(r => {
+    const { dataset, spec } = index.specs[r.i];
+    const { skus, ...fields } = spec;
+    return { dataset, score: Math.round(r.score * 100) / 100, spec: fields, skus };
+  });
+}
+
+// ---------- Part-number autocomplete ----------
+// Union SKUs and OEM part numbers in one array sorted by a punctuation-free key, so a
+// keystroke is a binary search to the first key >= the prefix plus a short forward scan.
+const suggestKey = s => lc(s).replace(/[^a-z0-9]/g, '');
+
+function buildSuggestIndex(skus, xrefAll) {
+  const entries = [];
+  for (const sku of skus) entries.push({ key: suggestKey(sku), value: sku, type: 'sku', brand: FEED_BRAND });
+  for (const r of dedupe(xrefAll, r => [r.brand, r.part].join('||'))) {
+    if (!r.part || /^empty$/i.test(r.part)) continue;
+    entries.push({ key: suggestKey(r.part), value: r.part, type: 'oem', brand: r.brand, sku: r.sku });
+  }
+  return entries.filter(e => e.key).sort((a, b) =>
+    a.key < b.key ? -1 : a.key > b.key ? 1 : a.type === b.type ? 0 : a.type === 'sku' ? -1 : 1);
+}
+
+function suggest(index, text, limit) {
+  const prefix = suggestKey(text);
+  if (!prefix) return [];
+  let lo = 0, hi = index.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (index[mid].key < prefix) lo = mid + 1; else hi = mid;
+  }
+  const out = [];
+  for (let i = lo; i < index.length && out.length < limit && index[i].key.indexOf(prefix) === 0; i++) {
+    const { key, ...entry } = index[i];
+    out.push(entry);
+  }
+  return out;
+}
+
+// Distinct values of one field across the specs that match the other filters,
+// with how many specs and distinct SKUs sit behind each value.
+function facetValues(specs, fields, facet, filters) {
+  const groups = new Map();
+  for (const spec of specs) {
+    if (!fields.every(f => f === facet || !filters[f] || lc(spec[f]) === lc(filters[f]))) continue;
+    const value = spec[facet] || '';
+    let g = groups.get(value);
+    if (!g) { g = { value, specs: 0, skus: new Set() }; groups.set(value, g); }
+    g.specs++;
+    for (const sku of spec.skus) g.skus.add(sku);
+  }
+  return [...groups.values()]
+    .sort((a, b) => a.value.localeCompare(b.value, undefined, { numeric: true, sensitivity: 'base' }))
+    .map(g => ({ value: g.value, specs: g.specs, skus: g.skus.size }));
+}
+
+// Parsed + indexed ONCE per catalog version per warm container, then reused across every
+// request. This is the key scaling change: no re-reading/re-parsing the CSVs per call.
 let CACHE = null;
-function getData() {
-  if (CACHE) return CACHE;
+let CHECKED_AT = 0;
+async function getData() {
+  if (CACHE && (!CATALOG_URL || Date.now() - CHECKED_AT < CATALOG_CHECK_MS)) return CACHE;
+  if (CATALOG_URL) {
+    CHECKED_AT = Date.now();
+    try {
+      const version = await remoteVersion(CATALOG_URL);
+      if (!CACHE || CACHE.version !== version) CACHE = checkCatalog(buildCatalog(await remoteCatalog(CATALOG_URL, version)));
+      return CACHE;
+    } catch (e) {
+      console.error('Catalog source failed, using the ' + (CACHE ? 'cached' : 'bundled') + ' catalog:', e.message);
+      if (CACHE) return CACHE;
+    }
+  }
+  CACHE = buildCatalog(localCatalog());
+  return CACHE;
+}
 
+function buildCatalog({ version, files }) {
+  const readCsv = file => parseCsv(files[file] || '');
   const hd = readCsv('heavy-duty.csv');
   const at = readCsv('automotive-trucks.csv');
   const xr = readCsv('cross-reference.csv');
 
+  const aliases = buildAliases(readCsv('aliases.csv'), [hd, at]);
+  for (const r of at) Object.assign(r, parseEngine(r.engine));
+  const filterTypes = buildFilterTypes(readCsv('filter-types.csv'));
+  const supersessions = buildSupersessions(readCsv('supersessions.csv'));
+  const kits = buildKits(readCsv('kits.csv'), aliases);
+  for (const rows of [hd, at]) {
+    for (const r of rows) for (const f of ALIAS_FIELDS) r[f] = canonical(aliases, f, r[f]);
+  }
+
+  // Serial breaks are parsed once here so ?serial= searches are a numeric compare.
+  for (const r of hd) {
+    r.serialRanges = parseSerialRanges(r.variant);
+    if (!r.serialRanges.length) r.serialRanges = parseSerialRanges(r.variant2);
+  }
+
   // Full-dataset payloads are built + serialized once (dropdown list, cross-ref dump).
   const dropdown = {
     heavyDuty: dedupeWithSkus(
@@ -105,7 +648,10 @@ function getData() {
     automotive: dedupeWithSkus(
       at,
       r => [r.year, r.make, r.model, r.trim, r.engine].join('||'),
-      r => ({ year: r.year || '', make: r.make || '', model: r.model || '', trim: r.trim || '', engine: r.engine || '' })
+      r => ({
+        year: r.year || '', make: r.make || '', model: r.model || '', trim: r.trim || '', engine: r.engine || '',
+        displacement: r.displacement, cylinders: r.cylinders, layout: r.layout, aspiration: r.aspiration, fuel: r.fuel
+      })
     )
   };
 
@@ -115,15 +661,742 @@ function getData() {
     part: (r.oempart || r.oempartnumber || r.part || '').trim()
   })).filter(r => r.sku && (r.brand || r.part));
 
-  CACHE = {
-    hd, at,
+  return {
+    version,
+    hd, at, aliases, filterTypes, supersessions, kits,
     hdBySku: indexBySku(hd, r => r.sku),
     atBySku: indexBySku(at, r => r.sku),
     xrBySku: indexBySku(xr, r => r.unionsku || r.sku),
-    dropdownBody: JSON.stringify(dropdown),
-    xrefAllBody: JSON.stringify({ crossRef: xrefAll })
+    xrByPart: indexBySku(xrefAll, r => partKey(r.part)),
+    // Candidate rows for matchMachine, so a machine with a model or make isn't a full scan.
+    byModel: { heavyDuty: indexBySku(hd, r => r.model), automotive: indexBySku(at, r => r.model) },
+    byMake: { heavyDuty: indexBySku(hd, r => r.make), automotive: indexBySku(at, r => r.make) },
+    dropdown,
+    xrefAll,
+    values: {
+      heavyDuty: buildValueIndex(dropdown.heavyDuty, VALIDATE_FIELDS.heavyDuty),
+      automotive: buildValueIndex(dropdown.automotive, VALIDATE_FIELDS.automotive)
+    },
+    text: buildTextIndex(dropdown),
+    suggest: buildSuggestIndex(new Set([...hd, ...at].map(r => r.sku).concat(xrefAll.map(r => r.sku)).filter(Boolean)), xrefAll),
+    dropdownBody: JSON.stringify(Object.assign({ catalogVersion: version }, dropdown)),
+    xrefAllBody: JSON.stringify({ catalogVersion: version, crossRef: xrefAll })
   };
-  return CACHE;
+}
+
+// Deduped machine specs (both datasets) that a set of SKUs fit.
+function machinesForSkus(D, skus) {
+  const wants = skus.map(lc).filter(Boolean);
+  const heavyDuty = dedupe(
+    gather(D.hdBySku, wants).map(r => ({
+      make: r.make || '', type: r.type || '', submodel: r.submodel || '',
+      model: r.model || '', variant: r.variant || '', variant2: r.variant2 || ''
+    })),
+    r => [r.make, r.type, r.submodel, r.model, r.variant, r.variant2].join('||')
+  );
+  const automotive = dedupe(
+    gather(D.atBySku, wants).map(r => ({
+      year: r.year || '', make: r.make || '', model: r.model || '',
+      trim: r.trim || '', engine: r.engine || ''
+    })),
+    r => [r.year, r.make, r.model, r.trim, r.engine].join('||')
+  );
+  return { heavyDuty, automotive };
+}
+
+// Apply ?filterType=Oil,Hydraulic when present.
+function withFilterType(D, skus, q) {
+  const wanted = String(q.filterType || '').split(',').map(lc).filter(Boolean);
+  if (!wanted.length) return skus;
+  return skus.filter(sku => wanted.includes(lc(filterTypeOf(D.filterTypes, sku))));
+}
+
+// Deduped OEM cross references for a set of Union SKUs, including those listed under
+// the SKUs they superseded.
+function crossRefsFor(D, skus) {
+  return dedupe(
+    gather(D.xrBySku, withPredecessors(D.supersessions, skus).map(lc).filter(Boolean)).map(r => ({
+      brand: (r.oembrand || r.brand || '').trim(),
+      part: (r.oempart || r.oempartnumber || r.part || '').trim()
+    })).filter(r => r.brand || r.part),
+    r => [r.brand, r.part].join('||')
+  );
+}
+
+// ?category= values. The labels saved machines already carry (admin/storefront forms) are
+// accepted as aliases so stored equipment keeps matching.
+// A Map, so names like "constructor" don't resolve to Object.prototype members.
+const CATEGORIES = new Map([
+  ['heavy-duty', 'heavyDuty'], ['heavy-duty machinery', 'heavyDuty'],
+  ['automotive', 'automotive'], ['trucks', 'automotive'],
+  ['all', 'all']
+]);
+const CATEGORY_NAMES = ['heavy-duty', 'automotive', 'all'];
+const categoryOf = v => CATEGORIES.get(lc(v).replace(/\s+/g, ' '));
+
+// Fields only one dataset has. Without an explicit category, a query using one of them
+// can only be about that dataset, so the other one is not searched.
+const DATASET_ONLY = {
+  heavyDuty: ['type', 'submodel', 'variant', 'variant2', 'serial'],
+  automotive: ['year', 'trim', 'engine'].concat(ENGINE_FIELDS)
+};
+const datasetsFor = has => Object.keys(DATASET_ONLY)
+  .filter(ds => !Object.keys(DATASET_ONLY).some(other => other !== ds && DATASET_ONLY[other].some(has)));
+
+// Fields from both lists (say type and year) rule out both datasets; the caller has to pick one.
+function categoryConflict(has) {
+  const given = Object.keys(DATASET_ONLY).map(ds => DATASET_ONLY[ds].filter(has));
+  if (given.some(fields => !fields.length)) return null;
+  return given.map(fields => fields.join(', ')).join(' and ') +
+    ' belong to different categories; pass category=heavy-duty or category=automotive';
+}
+
+// SKUs for one machine descriptor: search-mode query params or a saved machine
+// (the shape equipment-save.js's sanitizeMachine produces). Empty fields are wildcards.
+// category picks the dataset; without one (or with "all") both are searched, every match is
+// labelled with its dataset, and the spec each dataset was matched on is listed once in datasets.
+function matchMachine(D, m) {
+  const has = k => m[k] !== undefined && m[k] !== null && String(m[k]).trim() !== '';
+  const spec = Object.assign({}, m);
+  const canon = {};
+  for (const f of ALIAS_FIELDS) if (has(f)) spec[f] = canon[f] = canonical(D.aliases, f, m[f]);
+  for (const f of ENGINE_FIELDS) if (has(f)) spec[f] = engineValue(f, m[f]);
+
+  const category = (has('category') && categoryOf(m.category)) || 'all';
+  const datasets = category !== 'all' ? [category] : datasetsFor(has);
+  if (!datasets.length) {
+    return { dataset: 'all', skus: [], canonical: canon, datasets: [], matches: [], ambiguity: [], superseded: [], error: categoryConflict(has) };
+  }
+
+  const results = datasets.map(dataset => matchDataset(D, dataset, spec, has));
+  const found = results.filter(r => r.skus.length);
+  if (category !== 'all') {
+    return Object.assign({ dataset: category, canonical: canon, datasets: [{ dataset: category, spec: results[0].spec }] }, results[0]);
+  }
+
+  const label = r => x => Object.assign({ dataset: r.dataset }, x);
+  const ambiguity = [].concat(...results.map(r => r.ambiguity.map(a => Object.assign({ dataset: r.dataset }, a))));
+  if (found.length > 1) {
+    ambiguity.unshift({ field: 'category', values: found.length, message: 'category varies (' + found.length + ' options)' });
+  }
+  return {
+    dataset: found.length === 1 ? found[0].dataset : 'all',
+    skus: [...new Set([].concat(...results.map(r => r.skus)))],
+    canonical: canon,
+    datasets: results.map(r => ({ dataset: r.dataset, spec: r.spec })),
+    matches: [].concat(...results.map(r => r.matches.map(label(r)))).sort((a, b) => b.confidence - a.confidence),
+    ambiguity,
+    superseded: dedupe([].concat(...results.map(r => r.superseded)), x => lc(x.sku))
+  };
+}
+
+// Rows of one dataset fitting the (already canonicalised) spec, ranked.
+function matchDataset(D, dataset, spec, has) {
+  const eq = (a, b) => lc(a) === lc(b);
+  const fields = SPEC_FIELDS[dataset].concat(dataset === 'heavyDuty' ? ['serial'] : []).filter(has);
+  const pool = has('model') ? (D.byModel[dataset].get(lc(spec.model)) || [])
+    : has('make') ? (D.byMake[dataset].get(lc(spec.make)) || [])
+    : dataset === 'heavyDuty' ? D.hd : D.at;
+  let rows;
+  if (dataset === 'heavyDuty') {
+    const sn = has('serial') ? parseSerial(spec.serial) : null;
+    rows = pool.filter(r =>
+      (!has('make')     || eq(r.make, spec.make)) &&
+      (!has('type')     || eq(r.type, spec.type)) &&
+      (!has('submodel') || eq(r.submodel, spec.submodel)) &&
+      (!has('model')    || eq(r.model, spec.model)) &&
+      (!has('variant')  || eq(r.variant, spec.variant)) &&
+      (!has('variant2') || eq(r.variant2, spec.variant2)) &&
+      (!sn || serialFits(r.serialRanges, sn))
+    );
+  } else {
+    rows = pool.filter(r =>
+      (!has('year')   || eq(r.year, spec.year)) &&
+      (!has('make')   || eq(r.make, spec.make)) &&
+      (!has('model')  || eq(r.model, spec.model)) &&
+      (!has('trim')   || eq(r.trim, spec.trim)) &&
+      (!has('engine') || eq(r.engine, spec.engine)) &&
+      ENGINE_FIELDS.every(f => !has(f) || eq(r[f], spec[f]))
+    );
+  }
+  rows = rows.filter(r => r.sku && r.sku.trim() !== '');
+
+  // Rows still listing a discontinued SKU count toward its replacement.
+  const { superseded } = resolveSkus(D.supersessions, rows.map(r => r.sku));
+  if (superseded.length) {
+    rows = rows.map(r => D.supersessions.next.has(lc(r.sku)) ? Object.assign({}, r, { sku: currentSku(D.supersessions, r.sku) }) : r);
+  }
+
+  // ?filterType=Oil,Air narrows the rows before ranking, so ambiguity only names the details
+  // that change the SKUs actually returned.
+  const types = String(spec.filterType || '').split(',').map(lc).filter(Boolean);
+  if (types.length) rows = rows.filter(r => types.includes(lc(filterTypeOf(D.filterTypes, r.sku))));
+
+  const matched = {};
+  fields.forEach(f => { matched[f] = String(spec[f]).trim(); });
+  const skus = [...new Set(rows.map(r => r.sku))];
+  return Object.assign({ dataset, spec: matched, skus }, rankMatches(dataset, rows, has), { superseded });
+}
+
+// A partial query (say make + model) can span several variants / serial breaks / engines.
+// Each SKU's confidence is the share of those distinct machine specs it fits, and every
+// unspecified field whose values lead to different SKU lists is reported so the caller
+// can ask for exactly that detail.
+function rankMatches(dataset, rows, has) {
+  const fields = SPEC_FIELDS[dataset].filter(f => ENGINE_FIELDS.indexOf(f) === -1);
+  const specs = new Map();
+  for (const r of rows) {
+    const k = fields.map(f => r[f] || '').join('||');
+    let spec = specs.get(k);
+    if (!spec) { spec = { row: r, skus: new Set() }; specs.set(k, spec); }
+    spec.skus.add(r.sku);
+  }
+  const total = specs.size;
+
+  const counts = new Map();
+  for (const spec of specs.values()) for (const sku of spec.skus) counts.set(sku, (counts.get(sku) || 0) + 1);
+  const matches = [...counts.entries()]
+    .map(([sku, n]) => ({ sku, confidence: Math.round((n / total) * 100) / 100 }))
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const ambiguity = [];
+  for (const f of fields) {
+    if (has(f)) continue;
+    const byValue = new Map();
+    for (const spec of specs.values()) {
+      const v = spec.row[f] || '';
+      if (!byValue.has(v)) byValue.set(v, { serial: spec.row.serialRanges && spec.row.serialRanges.length > 0, skus: new Set() });
+      for (const sku of spec.skus) byValue.get(v).skus.add(sku);
+    }
+    if (byValue.size < 2) continue;
+    const lists = [...byValue.values()].map(g => [...g.skus].sort().join('|'));
+    if (lists.every(l => l === lists[0])) continue; // differs, but doesn't change the parts
+    const serialBreaks = (f === 'variant' || f === 'variant2') && [...byValue.values()].filter(g => g.serial).length > 1;
+    ambiguity.push(serialBreaks
+      ? { field: 'serial', values: byValue.size, message: byValue.size + ' serial ranges differ, ask for serial' }
+      : { field: f, values: byValue.size, message: f + ' varies (' + byValue.size + ' options)' });
+  }
+  return { matches, ambiguity };
+}
+
+// Fleet fitment: per-machine SKUs plus the fleet-wide stocking view.
+// A machine without a model matches a whole make (or catalog), which at 500 machines blows the
+// response size, so it is skipped. Per machine only the SKUs and what narrows them are returned;
+// the ranked matches are left to search mode.
+function matchFleet(D, machines) {
+  const bySku = new Map();
+  const results = machines.map((m, i) => {
+    const id = (m && m.id) || String(i);
+    const out = { id, name: (m && m.name) || '' };
+    if (!m || !m.model || !String(m.model).trim()) {
+      return Object.assign(out, { skus: [], error: 'model is required' });
+    }
+    const match = matchMachine(D, m);
+    if (match.error) return Object.assign(out, { skus: [], error: match.error });
+    for (const sku of match.skus) {
+      let agg = bySku.get(sku);
+      if (!agg) { agg = { sku, quantity: 0, machines: [] }; bySku.set(sku, agg); }
+      agg.quantity++;
+      agg.machines.push(id);
+    }
+    return Object.assign(out, {
+      dataset: match.dataset,
+      skus: match.skus,
+      ambiguity: match.ambiguity,
+      canonical: match.canonical,
+      superseded: match.superseded
+    });
+  });
+  const fleet = [...bySku.values()].sort((a, b) => b.quantity - a.quantity || a.sku.localeCompare(b.sku));
+  return { machines: results, fleet, shared: fleet.filter(a => a.machines.length > 1) };
+}
+
+// ---------- Service kits ----------
+// One orderable bundle of the filters changed at service time. kits.csv (Kit,Make,Type,Model,
+// Role,SKU,Quantity; empty machine fields match anything) holds curated kits; the most specific
+// kit matching the machine wins. Otherwise a kit is derived from the SKUs that fit every spec
+// the machine matched, one line per SKU in the KIT_ROLES filter types.
+const KIT_ROLES = [
+  { role: 'Engine oil', types: ['Oil'] },
+  { role: 'Fuel', types: ['Fuel', 'Water Separator', 'Inline Fuel'] },
+  { role: 'Air', types: ['Air'] },
+  { role: 'Hydraulic', types: ['Hydraulic'] }
+];
+const KIT_MACHINE_FIELDS = ['make', 'type', 'model'];
+
+function buildKits(rows, aliases) {
+  const kits = new Map();
+  for (const r of rows) {
+    const name = (r.kit || '').trim();
+    const sku = (r.sku || '').trim();
+    if (!name || !sku) continue;
+    if (!kits.has(name)) {
+      const machine = {};
+      for (const f of KIT_MACHINE_FIELDS) machine[f] = canonical(aliases, f, r[f]);
+      kits.set(name, { name, machine, items: [] });
+    }
+    kits.get(name).items.push({ role: (r.role || '').trim(), sku, quantity: parseInt(r.quantity) || 1 });
+  }
+  return [...kits.values()];
+}
+
+// Air sets are sold as UAF-<primary>-<secondary>; their halves become the two air lines.
+function airRoles(skus) {
+  const roles = new Map();
+  for (const sku of skus) {
+    const set = /^([a-z]+)-(\w+)-(\w+)$/i.exec(sku);
+    if (!set) continue;
+    const primary = skus.find(s => lc(s) === lc(set[1] + '-' + set[2]));
+    const secondary = skus.find(s => lc(s) === lc(set[1] + '-' + set[3]));
+    if (primary && secondary) {
+      roles.set(sku, null); // the halves are listed instead
+      roles.set(primary, 'Air primary');
+      roles.set(secondary, 'Air secondary');
+    }
+  }
+  return roles;
+}
+
+function deriveKit(D, skus) {
+  const air = airRoles(skus);
+  const items = [];
+  for (const { role, types } of KIT_ROLES) {
+    for (const sku of skus) {
+      if (!types.includes(filterTypeOf(D.filterTypes, sku))) continue;
+      const r = role === 'Air' && air.has(sku) ? air.get(sku) : role;
+      if (r) items.push({ role: r, sku, quantity: 1 });
+    }
+  }
+  return items;
+}
+
+// { kit, ambiguity } for one machine descriptor (search params or a saved machine).
+// A kit is only derived from SKUs fitting every matched spec, so an under-specified machine
+// (no serial where serial breaks change the filters) gets a smaller kit plus the ambiguity.
+function kitFor(D, m) {
+  const match = matchMachine(D, m);
+  if (match.error) return { kit: null, ambiguity: [], canonical: match.canonical, error: match.error };
+  if (!match.skus.length) return { kit: null, ambiguity: match.ambiguity, canonical: match.canonical };
+
+  const spec = Object.assign({}, m, match.canonical);
+  const fits = kit => KIT_MACHINE_FIELDS.every(f => !kit.machine[f] || lc(kit.machine[f]) === lc(spec[f]));
+  const specificity = kit => KIT_MACHINE_FIELDS.filter(f => kit.machine[f]).length;
+  const curated = D.kits.filter(fits).sort((a, b) => specificity(b) - specificity(a))[0];
+
+  let kit;
+  if (curated) {
+    kit = {
+      source: 'curated',
+      name: curated.name,
+      items: curated.items.map(it => Object.assign({}, it, { sku: currentSku(D.supersessions, it.sku) }))
+    };
+  } else {
+    const certain = match.matches.filter(x => x.confidence === 1).map(x => x.sku);
+    kit = {
+      source: 'derived',
+      name: [spec.make, spec.model].filter(Boolean).join(' ') + ' service kit',
+      items: deriveKit(D, certain)
+    };
+  }
+  kit.items.forEach(it => { it.filterType = filterTypeOf(D.filterTypes, it.sku); });
+  kit.quantity = kit.items.reduce((n, it) => n + it.quantity, 0);
+  if (!kit.items.length) kit = null;
+  return { kit, ambiguity: match.ambiguity, canonical: match.canonical };
+}
+
+// ---------- Saved-machine validation ----------
+// Checks one saved machine (equipment-save.js) against the catalog. An unknown category, or a
+// year outside 1900 to next year in either category, is an error. Any other field the catalog
+// doesn't list is a warning carrying the catalog's spelling or the nearest values.
+// catalogMatch means every given field lines up and at least one SKU fits.
+const SAVED_CATEGORIES = ['Heavy-Duty Machinery', 'Automotive', 'Trucks'];
+const VALIDATE_FIELDS = {
+  heavyDuty: ['make', 'type', 'submodel', 'model', 'variant'],
+  automotive: ['make', 'model', 'year', 'trim', 'engine']
+};
+
+// Per field: every distinct value, and the dropdown specs behind each (lowercased) value,
+// so validation narrows by the fields already checked without rescanning the dropdown.
+function buildValueIndex(specs, fields) {
+  const all = {}, by = {};
+  for (const f of fields) {
+    by[f] = new Map();
+    for (const spec of specs) {
+      const k = lc(spec[f]);
+      if (!k) continue;
+      let list = by[f].get(k);
+      if (!list) { list = []; by[f].set(k, list); }
+      list.push(spec);
+    }
+    all[f] = [...by[f].values()].map(list => list[0][f]);
+  }
+  return { all, by };
+}
+
+// Distinct catalog values of field f among the specs matching filters.
+function catalogValues(index, f, filters) {
+  const keys = Object.keys(filters);
+  if (!keys.length) return index.all[f];
+  const lists = keys.map(k => index.by[k].get(lc(filters[k])) || []).sort((a, b) => a.length - b.length);
+  const values = new Map();
+  for (const spec of lists[0]) {
+    if (!spec[f] || !keys.every(k => lc(spec[k]) === lc(filters[k]))) continue;
+    if (!values.has(lc(spec[f]))) values.set(lc(spec[f]), spec[f]);
+  }
+  return [...values.values()];
+}
+
+// Up to 3 catalog values closest to v: same letters/digits, then prefix, then a typo or two.
+function nearestValues(options, v) {
+  const k = aliasKey(v);
+  if (!k) return [];
+  const score = o => {
+    const ok = aliasKey(o);
+    if (ok === k) return 0;
+    if (ok.indexOf(k) === 0 || k.indexOf(ok) === 0) return 1;
+    const d = editDistance(k, ok, k.length >= 5 ? 2 : 1);
+    return d <= 2 ? 1 + d : Infinity;
+  };
+  return options.map(o => ({ o, s: score(o) })).filter(x => x.s < Infinity)
+    .sort((a, b) => a.s - b.s || a.o.localeCompare(b.o)).slice(0, 3).map(x => x.o);
+}
+
+function validateMachine(D, m) {
+  const errors = [];
+  const warnings = [];
+  const suggestions = {};
+  const value = f => (m[f] == null ? '' : String(m[f]).trim());
+  const suggest = (field, message, options) => {
+    suggestions[field] = options[0];
+    warnings.push(Object.assign({ field, message, suggestion: options[0] }, options.length > 1 ? { options } : {}));
+  };
+
+  const dataset = categoryOf(m.category);
+  if (!dataset || dataset === 'all') {
+    errors.push({ field: 'category', message: 'category must be one of: ' + SAVED_CATEGORIES.join(', ') });
+    return { catalogMatch: false, errors, warnings, suggestions };
+  }
+  if (!SAVED_CATEGORIES.includes(value('category'))) {
+    suggest('category', 'category "' + value('category') + '" is saved as "' + SAVED_CATEGORIES[dataset === 'heavyDuty' ? 0 : 1] + '"',
+      [SAVED_CATEGORIES[dataset === 'heavyDuty' ? 0 : 1]]);
+  }
+  if (!value('make') && !value('model')) errors.push({ field: 'make', message: 'make or model is required' });
+  if (value('year')) {
+    const max = new Date().getFullYear() + 1;
+    const y = Number(value('year'));
+    if (!/^\d{4}$/.test(value('year')) || y < 1900 || y > max) {
+      errors.push({ field: 'year', message: 'year must be between 1900 and ' + max });
+    }
+  }
+
+  // Walk the fields in dropdown order, narrowing by each one that lines up.
+  const filters = {};
+  let linedUp = !errors.length;
+  for (const f of VALIDATE_FIELDS[dataset]) {
+    const v = value(f);
+    if (!v || errors.some(e => e.field === f)) continue;
+    const context = Object.keys(filters).map(k => filters[k]).join(' ');
+    const options = catalogValues(D.values[dataset], f, filters);
+    const want = ALIAS_FIELDS.includes(f) ? canonical(D.aliases, f, v) : v;
+    const exact = options.find(o => lc(o) === lc(want));
+    if (exact) {
+      filters[f] = exact;
+      if (exact !== v) suggest(f, f + ' "' + v + '" is listed as "' + exact + '"', [exact]);
+      continue;
+    }
+    linedUp = false;
+    const near = nearestValues(options, want);
+    if (f === 'year' && options.length) {
+      const years = options.map(Number).filter(Boolean).sort((a, b) => a - b);
+      warnings.push({ field: f, message: 'catalog covers ' + years[0] + '-' + years[years.length - 1] + (context ? ' for ' + context : '') });
+    } else if (near.length) {
+      suggest(f, f + ' "' + v + '" is not in the catalog' + (context ? ' for ' + context : ''), near);
+    } else {
+      warnings.push({ field: f, message: f + ' "' + v + '" is not in the catalog' + (context ? ' for ' + context : '') });
+    }
+  }
+
+  let catalogMatch = false;
+  if (linedUp) {
+    catalogMatch = matchMachine(D, Object.assign({}, m, filters)).skus.length > 0;
+    if (!catalogMatch && dataset === 'heavyDuty' && value('serial')) {
+      warnings.push({ field: 'serial', message: 'serial "' + value('serial') + '" is outside the catalog\'s serial ranges for this model' });
+    }
+  }
+  return { catalogMatch, errors, warnings, suggestions };
+}
+
+// ---------- Catalog diff ----------
+// What changed between two built catalogs: SKUs, per-machine SKU lists and cross references.
+function diffCatalogs(from, to) {
+  const allSkus = D => new Set([...D.hd, ...D.at].map(r => r.sku).concat(D.xrefAll.map(r => r.sku)).filter(Boolean));
+  const machines = D => {
+    const m = new Map();
+    for (const dataset of Object.keys(SPEC_FIELDS)) {
+      const fields = SPEC_FIELDS[dataset].filter(f => ENGINE_FIELDS.indexOf(f) === -1);
+      for (const spec of D.dropdown[dataset]) {
+        const machine = { dataset };
+        fields.forEach(f => { machine[f] = spec[f] || ''; });
+        m.set(dataset + '||' + fields.map(f => spec[f] || '').join('||'), { machine, skus: new Set(spec.skus) });
+      }
+    }
+    return m;
+  };
+  const xrefs = D => new Map(D.xrefAll.map(r => [[r.sku, r.brand, r.part].join('||'), r]));
+  const minus = (a, b) => [...a].filter(x => !b.has(x));
+
+  const skusA = allSkus(from), skusB = allSkus(to);
+  const machA = machines(from), machB = machines(to);
+  const xrA = xrefs(from), xrB = xrefs(to);
+
+  const changed = [];
+  for (const [k, b] of machB) {
+    const a = machA.get(k);
+    if (!a) continue;
+    const added = minus(b.skus, a.skus), removed = minus(a.skus, b.skus);
+    if (added.length || removed.length) changed.push({ machine: b.machine, added, removed });
+  }
+  const out = {
+    from: from.version,
+    to: to.version,
+    skus: { added: minus(skusB, skusA).sort(), removed: minus(skusA, skusB).sort() },
+    machines: {
+      added: minus(machB.keys(), machA).map(k => Object.assign({}, machB.get(k).machine, { skus: [...machB.get(k).skus] })),
+      removed: minus(machA.keys(), machB).map(k => Object.assign({}, machA.get(k).machine, { skus: [...machA.get(k).skus] })),
+      changed
+    },
+    crossRefs: {
+      added: minus(xrB.keys(), xrA).map(k => xrB.get(k)),
+      removed: minus(xrA.keys(), xrB).map(k => xrA.get(k))
+    }
+  };
+  out.summary = {
+    skusAdded: out.skus.added.length, skusRemoved: out.skus.removed.length,
+    machinesAdded: out.machines.added.length, machinesRemoved: out.machines.removed.length,
+    machinesChanged: changed.length,
+    crossRefsAdded: out.crossRefs.added.length, crossRefsRemoved: out.crossRefs.removed.length
+  };
+  return out;
+}
+
+// ---------- Fitment misses ----------
+// Searches that find nothing are the machines and part numbers missing from the catalog.
+// They are appended to a sink picked by FITMENT_MISS_SINK:
+//   file (default)  JSONL at FITMENT_MISS_LOG (default /tmp/fitment-misses.jsonl; only /tmp is
+//                   writable in a function, so this lasts as long as the container)
+//   supabase        fitment_misses table via SUPABASE_URL / SUPABASE_SERVICE_KEY
+//   none            disabled
+const MISS_FIELDS = ['category', 'make', 'type', 'submodel', 'model', 'variant', 'variant2', 'year', 'trim', 'engine',
+  'serial', 'xref', 'oem', 'brand'].concat(ENGINE_FIELDS);
+
+const MISS_SINKS = {
+  file: {
+    file: () => process.env.FITMENT_MISS_LOG || '/tmp/fitment-misses.jsonl',
+    async record(entry) { fs.appendFileSync(this.file(), JSON.stringify(entry) + '\n'); },
+    async read(since) {
+      let text = '';
+      try { text = fs.readFileSync(this.file(), 'utf8'); } catch (e) { return []; }
+      const out = [];
+      for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        try { const e = JSON.parse(line); if (e.at >= since) out.push(e); } catch (err) {} // skip torn lines
+      }
+      return out;
+    }
+  },
+  supabase: {
+    headers: () => ({
+      'apikey': process.env.SUPABASE_SERVICE_KEY,
+      'Authorization': `Bearer ${process.env.SUPABASE_SERVICE_KEY}`,
+      'Content-Type': 'application/json'
+    }),
+    async record(entry) {
+      const res = await fetch(`${process.env.SUPABASE_URL}/rest/v1/fitment_misses`, {
+        method: 'POST',
+        headers: this.headers(),
+        body: JSON.stringify({ created_at: entry.at, mode: entry.mode, query: entry.query, catalog_version: entry.catalogVersion })
+      });
+      if (!res.ok) throw new Error('Supabase HTTP ' + res.status);
+    },
+    async read(since) {
+      const res = await fetch(
+        `${process.env.SUPABASE_URL}/rest/v1/fitment_misses?select=*&created_at=gte.${encodeURIComponent(since)}&order=created_at.desc&limit=50000`,
+        { headers: this.headers() }
+      );
+      if (!res.ok) throw new Error('Supabase HTTP ' + res.status);
+      return (await res.json()).map(r => ({ at: r.created_at, mode: r.mode, query: r.query || {}, catalogVersion: r.catalog_version }));
+    }
+  },
+  none: { async record() {}, async read() { return []; } }
+};
+
+const missSink = () => MISS_SINKS[lc(process.env.FITMENT_MISS_SINK) || 'file'] || MISS_SINKS.file;
+
+// Never lets logging fail the request.
+async function recordMiss(D, mode, q) {
+  const query = {};
+  for (const f of MISS_FIELDS) if (q[f] != null && String(q[f]).trim() !== '') query[f] = String(q[f]).trim();
+  try {
+    await missSink().record({ at: new Date().toISOString(), mode, query, catalogVersion: D.version });
+  } catch (e) {
+    console.error('Fitment miss log failed:', e.message);
+  }
+}
+
+// Most frequent misses, grouped by what a merchandiser would add: a machine or a part number.
+function missReport(entries, limit) {
+  const groups = new Map();
+  for (const e of entries) {
+    const q = e.query || {};
+    const what = e.mode === 'oem' ? { oem: String(q.oem || '').toUpperCase(), brand: q.brand || '' }
+      : e.mode === 'xref' ? { sku: String(q.xref || '').toUpperCase() }
+      : { category: q.category || '', make: q.make || '', type: q.type || '', model: q.model || '', year: q.year || '' };
+    const k = e.mode + '||' + Object.keys(what).map(f => lc(what[f])).join('||');
+    let g = groups.get(k);
+    if (!g) { g = Object.assign({ mode: e.mode }, what, { count: 0, lastSeen: '' }); groups.set(k, g); }
+    g.count++;
+    if (e.at > g.lastSeen) g.lastSeen = e.at;
+  }
+  const top = [...groups.values()].sort((a, b) => b.count - a.count || (a.lastSeen < b.lastSeen ? 1 : -1));
+  return {
+    total: entries.length,
+    machines: top.filter(g => g.mode === 'search').slice(0, limit),
+    oemParts: top.filter(g => g.mode === 'oem').slice(0, limit),
+    skus: top.filter(g => g.mode === 'xref').slice(0, limit)
+  };
+}
+
+// Admin-only modes need the CATALOG_ADMIN_TOKEN in an x-admin-token header. Their answers
+// (403s included) must never sit in a shared cache, so they go out with ADMIN_HEADERS.
+const ADMIN_HEADERS = Object.assign({}, CORS, { 'Cache-Control': 'private, no-store' });
+
+function isAdmin(event) {
+  const token = process.env.CATALOG_ADMIN_TOKEN;
+  const h = (event && event.headers) || {};
+  const given = h['x-admin-token'] || h['X-Admin-Token'];
+  if (!token || typeof given !== 'string') return false;
+  const x = Buffer.from(given), y = Buffer.from(token);
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// ?diff= only fetches catalogs from these origins: CATALOG_DIFF_ORIGINS (comma-separated),
+// else the origin of CATALOG_URL. Anything else would let the function fetch arbitrary URLs.
+const DIFF_ORIGINS = (process.env.CATALOG_DIFF_ORIGINS || '').split(',').map(s => s.trim().replace(/\/+$/, '')).filter(Boolean);
+function diffSourceAllowed(target) {
+  let url;
+  try { url = new URL(target); } catch (e) { return false; }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return false;
+  const allowed = DIFF_ORIGINS.length ? DIFF_ORIGINS : CATALOG_URL ? [new URL(CATALOG_URL).origin] : [];
+  return allowed.includes(url.origin);
+}
+
+// ---------- Industry feed exports ----------
+// ACES-style application records for the automotive data, PIES-style interchange records
+// for the cross reference, and a normalized heavy-duty feed. We have no VCdb/PCdb IDs, so
+// vehicles and part types are written by name. Bodies are built once per catalog version.
+const xml = s => String(s == null ? '' : s)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const csvCell = s => (/[",\n]/.test(String(s)) ? '"' + String(s).replace(/"/g, '""') + '"' : String(s));
+const partTypeName = (D, sku) => {
+  const t = filterTypeOf(D.filterTypes, sku);
+  return t === 'Other' ? 'Filter' : t + ' Filter';
+};
+
+function acesXml(D) {
+  const today = new Date().toISOString().slice(0, 10);
+  const apps = [];
+  const rows = dedupe(D.at.filter(r => r.sku), r => [r.sku, r.year, r.make, r.model, r.trim, r.engine].join('||'));
+  rows.forEach((r, i) => {
+    const el = (tag, v) => (v ? '    <' + tag + '>' + xml(v) + '</' + tag + '>\n' : '');
+    apps.push('  <App action="A" id="' + (i + 1) + '">\n' +
+      (r.year ? '    <Years from="' + xml(r.year) + '" to="' + xml(r.year) + '"/>\n' : '') +
+      el('Make', r.make) + el('Model', r.model) + el('SubModel', r.trim) +
+      el('Liter', r.displacement.replace(/L$/, '')) + el('Cylinders', r.cylinders) + el('BlockType', r.layout) +
+      el('Aspiration', r.aspiration) + el('FuelType', r.fuel) + el('Note', r.engine) +
+      '    <Qty>1</Qty>\n' + el('PartType', partTypeName(D, r.sku)) + el('Part', r.sku) +
+      '  </App>\n');
+  });
+  return '<?xml version="1.0" encoding="UTF-8"?>\n<ACES version="4.2">\n' +
+    '  <Header>\n    <Company>' + xml(FEED_BRAND) + '</Company>\n    <TransferDate>' + today + '</TransferDate>\n' +
+    '    <DocumentTitle>Automotive fitment ' + xml(D.version) + '</DocumentTitle>\n    <SubmissionType>FULL</SubmissionType>\n  </Header>\n' +
+    apps.join('') +
+    '  <Footer>\n    <RecordCount>' + apps.length + '</RecordCount>\n  </Footer>\n</ACES>\n';
+}
+
+function piesXml(D) {
+  const today = new Date().toISOString().slice(0, 10);
+  const bySku = new Map();
+  for (const r of D.xrefAll) {
+    if (!r.part || /^empty$/i.test(r.part)) continue;
+    if (!bySku.has(r.sku)) bySku.set(r.sku, []);
+    bySku.get(r.sku).push(r);
+  }
+  const items = [...bySku.keys()].sort().map(sku =>
+    '    <Item MaintenanceType="A">\n' +
+    '      <PartNumber>' + xml(sku) + '</PartNumber>\n' +
+    '      <BrandLabel>' + xml(FEED_BRAND) + '</BrandLabel>\n' +
+    '      <PartTerminologyName>' + xml(partTypeName(D, sku)) + '</PartTerminologyName>\n' +
+    '      <PartInterchangeInfo>\n' +
+    bySku.get(sku).map(r =>
+      '        <PartInterchange MaintenanceType="A" BrandLabel="' + xml(r.brand) + '" InterchangeQuantity="1" UOM="EA">\n' +
+      '          <PartNumber>' + xml(r.part) + '</PartNumber>\n        </PartInterchange>\n').join('') +
+    '      </PartInterchangeInfo>\n    </Item>\n');
+  return '<?xml version="1.0" encoding="UTF-8"?>\n<PIES version="7.2">\n' +
+    '  <Header>\n    <PIESVersion>7.2</PIESVersion>\n    <SubmissionType>FULL</SubmissionType>\n' +
+    '    <BlanketEffectiveDate>' + today + '</BlanketEffectiveDate>\n' +
+    '    <ParentDUNSNumber/>\n    <TechnicalContact>' + xml(FEED_BRAND) + ' ' + xml(D.version) + '</TechnicalContact>\n  </Header>\n' +
+    '  <Items>\n' + items.join('') + '  </Items>\n' +
+    '  <Trailer>\n    <ItemCount>' + items.length + '</ItemCount>\n    <TransactionDate>' + today + '</TransactionDate>\n  </Trailer>\n</PIES>\n';
+}
+
+// One row per SKU x heavy-duty machine, canonical values, serial breaks parsed.
+function heavyDutyFeed(D) {
+  if (!D.heavyDutyFeed) {
+    D.heavyDutyFeed = dedupe(D.hd.filter(r => r.sku), r => [r.sku, r.make, r.type, r.submodel, r.model, r.variant, r.variant2].join('||'))
+      .map(r => ({
+        sku: r.sku, filterType: filterTypeOf(D.filterTypes, r.sku),
+        make: r.make || '', type: r.type || '', submodel: r.submodel || '', model: r.model || '',
+        variant: r.variant || '', variant2: r.variant2 || '', serialRanges: r.serialRanges
+      }));
+  }
+  return D.heavyDutyFeed;
+}
+
+// "GH100008-", "-GH100007", "1DW460E F668588-708124"
+function serialRangeText(r) {
+  const endPrefix = r.endPrefix != null ? r.endPrefix : r.prefix;
+  if (r.start == null && r.end == null) return (r.pin ? r.pin + ' ' : '') + r.prefix;
+  return (r.pin ? r.pin + ' ' : '') +
+    (r.start == null ? '' : r.prefix + r.start) + '-' +
+    (r.end == null ? '' : (endPrefix !== r.prefix || r.start == null ? endPrefix : '') + r.end);
+}
+
+function exportBody(D, kind) {
+  D.exportBodies = D.exportBodies || {};
+  if (D.exportBodies[kind] == null) {
+    if (kind === 'aces') D.exportBodies[kind] = acesXml(D);
+    else if (kind === 'pies') D.exportBodies[kind] = piesXml(D);
+    else if (kind === 'heavy-duty.csv') {
+      const cols = ['sku', 'filterType', 'make', 'type', 'submodel', 'model', 'variant', 'variant2', 'serialRanges'];
+      D.exportBodies[kind] = [cols.join(',')].concat(heavyDutyFeed(D).map(r => cols.map(c =>
+        csvCell(c === 'serialRanges' ? r[c].map(serialRangeText).join('; ') : r[c])).join(','))).join('\n') + '\n';
+    }
+  }
+  return D.exportBodies[kind];
+}
+
+// 200 response tagged with the catalog version it was answered from.
+function ok(D, payload, headers = CORS) {
+  return { statusCode: 200, headers, body: JSON.stringify(Object.assign({ catalogVersion: D.version }, payload)) };
+}
+
+// The ?category= check shared by the facet, kit and search modes: a 400 for an unknown name, or
+// for dataset-only fields from both datasets with no category to settle it; null when fine.
+function categoryError(q, has) {
+  let error = null;
+  if (has('category') && !categoryOf(q.category)) error = 'category must be one of: ' + CATEGORY_NAMES.join(', ');
+  else if ((categoryOf(q.category) || 'all') === 'all') error = categoryConflict(has);
+  return error && { statusCode: 400, headers: CORS, body: JSON.stringify({ error }) };
 }
 
 // Collect all rows for a set of SKUs using the prebuilt index.
@@ -136,82 +1409,254 @@ function gather(index, skus) {
   return out;
 }
 
+// ---------- Prebuilt body responses ----------
+// The dropdown and xrefall bodies only change with the catalog, so each gets a strong ETag
+// from its contents and its compressed forms are built once per container on first use.
+// Strong tags must differ per content-coding, so br and gzip bodies carry "<sha>-br" / "<sha>-gzip".
+function prebuilt(D, name) {
+  D.prebuilt = D.prebuilt || {};
+  if (!D.prebuilt[name]) {
+    const body = name === 'dropdown' ? D.dropdownBody : D.xrefAllBody;
+    const hash = crypto.createHash('sha1').update(body).digest('hex');
+    const etag = encoding => '"' + hash + (encoding ? '-' + encoding : '') + '"';
+    D.prebuilt[name] = { body, etag, etags: [etag(null), etag('gzip'), etag('br')], encoded: {} };
+  }
+  return D.prebuilt[name];
+}
+
+// br over gzip; "gzip;q=0" and the like count as not accepted.
+function pickEncoding(accept) {
+  const accepted = new Set(String(accept || '').toLowerCase().split(',')
+    .map(p => p.trim().split(/\s*;\s*/))
+    .filter(([, q]) => !q || parseFloat(q.replace(/^q=/, '')) > 0)
+    .map(([enc]) => enc));
+  return accepted.has('br') ? 'br' : accepted.has('gzip') ? 'gzip' : null;
+}
+
+function prebuiltResponse(D, event, name) {
+  const entry = prebuilt(D, name);
+  const reqHeaders = {};
+  for (const k of Object.keys((event && event.headers) || {})) reqHeaders[k.toLowerCase()] = event.headers[k];
+  const encoding = pickEncoding(reqHeaders['accept-encoding']);
+  const headers = Object.assign({}, CORS, { 'ETag': entry.etag(encoding), 'Vary': 'Accept-Encoding', 'Access-Control-Expose-Headers': 'ETag' });
+
+  // Weak comparison, as If-None-Match calls for: a CDN may have re-labelled the tag W/ after compressing.
+  // Any coding's tag counts, since they all stand for the same content.
+  const tags = String(reqHeaders['if-none-match'] || '').split(',').map(t => t.trim().replace(/^W\//, ''));
+  if (tags.includes('*') || tags.some(t => entry.etags.includes(t))) {
+    return { statusCode: 304, headers, body: '' };
+  }
+
+  if (!encoding) return { statusCode: 200, headers, body: entry.body };
+  if (!entry.encoded[encoding]) {
+    entry.encoded[encoding] = (encoding === 'br'
+      ? zlib.brotliCompressSync(entry.body, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 6 } })
+      : zlib.gzipSync(entry.body)).toString('base64');
+  }
+  headers['Content-Encoding'] = encoding;
+  return { statusCode: 200, headers, body: entry.encoded[encoding], isBase64Encoded: true };
+}
+
 exports.handler = async (event) => {
   try {
-    const D = getData();
-    const q = (event && event.queryStringParameters) || {};
+    const D = await getData();
+
+    if (event && event.httpMethod === 'OPTIONS') {
+      return { statusCode: 200, headers: Object.assign({}, CORS, { 'Access-Control-Allow-Headers': 'Content-Type, If-None-Match' }), body: '' };
+    }
+
+    // ====== FLEET MODE: POST { machines: [...] } -> SKUs per machine + shared SKUs and quantities ======
+    if (event && event.httpMethod === 'POST') {
+      let body;
+      try { body = JSON.parse(event.body || '{}'); }
+      catch (e) { return { statusCode: 400, headers: CORS, body: JSON.stringify({ error: 'Invalid JSON body' }) }; }
+      const machines = Array.isArray(body) ? body : body && body.machines;
+      if (!Array.isArray(machines) || !machines.length) {
+        return { statusCode: 400, headers: CORS, body: JSON.stringify({ error: 'machines must be a non-empty array' }) };
+      }
+      if (machines.length > 500) {
+        return { statusCode: 400, headers: CORS, body: JSON.stringify({ error: 'Maximum 500 machines per request' }) };
+      }
+      return ok(D, matchFleet(D, machines));
+    }
+    const q = Object.assign({}, (event && event.queryStringParameters) || {});
     const has = k => q[k] !== undefined && q[k] !== null && String(q[k]).trim() !== '';
 
+    // Query values go through the same alias table the catalog was indexed with.
+    const canon = {};
+    for (const f of ALIAS_FIELDS) if (has(f)) q[f] = canon[f] = canonical(D.aliases, f, q[f]);
+    for (const f of ENGINE_FIELDS) if (has(f)) q[f] = engineValue(f, q[f]);
+
+    // ====== ADMIN DIFF: ?diff=<catalog base URL | bundled> -> changes from the live catalog to that one ======
+    if (has('diff')) {
+      if (!isAdmin(event)) {
+        return { statusCode: 403, headers: ADMIN_HEADERS, body: JSON.stringify({ error: 'Admin token required' }) };
+      }
+      const target = String(q.diff).trim().replace(/\/+$/, '');
+      if (target !== 'bundled' && !diffSourceAllowed(target)) {
+        return { statusCode: 400, headers: ADMIN_HEADERS, body: JSON.stringify({ error: 'diff must be "bundled" or a catalog URL on an allowed origin (CATALOG_DIFF_ORIGINS)' }) };
+      }
+      const other = target === 'bundled'
+        ? buildCatalog(localCatalog())
+        : buildCatalog(await remoteCatalog(target, await remoteVersion(target)));
+      return ok(D, diffCatalogs(D, other), ADMIN_HEADERS);
+    }
+
+    // ====== ADMIN MISS REPORT: ?misses=report[&days=30&limit=50] -> most frequent empty searches ======
+    if (has('misses')) {
+      if (!isAdmin(event)) {
+        return { statusCode: 403, headers: ADMIN_HEADERS, body: JSON.stringify({ error: 'Admin token required' }) };
+      }
+      const days = Math.min(parseInt(q.days) || 30, 365);
+      const limit = Math.min(parseInt(q.limit) || 50, 500);
+      const since = new Date(Date.now() - days * 86400000).toISOString();
+      const report = missReport(await missSink().read(since), limit);
+      return ok(D, Object.assign({ since }, report), ADMIN_HEADERS);
+    }
+
+    // ====== EXPORT: ?export=aces | pies | heavy-duty[&format=csv] -> industry-format feeds ======
+    // The heavy-duty JSON feed is paged (?offset=&limit=, max 10000) to stay under the response size limit.
+    if (has('export')) {
+      const kind = lc(q.export);
+      if (kind === 'heavy-duty' && lc(q.format) !== 'csv') {
+        const feed = heavyDutyFeed(D);
+        const offset = Math.max(parseInt(q.offset) || 0, 0);
+        const limit = Math.min(parseInt(q.limit) || 5000, 10000);
+        const heavyDuty = feed.slice(offset, offset + limit);
+        const next = offset + limit < feed.length ? offset + limit : null;
+        return ok(D, { total: feed.length, offset, next, heavyDuty });
+      }
+      const files = { aces: 'aces.xml', pies: 'pies.xml', 'heavy-duty': 'heavy-duty.csv' };
+      if (!files[kind]) {
+        return { statusCode: 400, headers: CORS, body: JSON.stringify({ error: 'export must be one of: aces, pies, heavy-duty' }) };
+      }
+      const headers = Object.assign({}, CORS, {
+        'Content-Type': kind === 'heavy-duty' ? 'text/csv' : 'application/xml',
+        'Content-Disposition': 'attachment; filename="' + files[kind] + '"',
+        'X-Catalog-Version': D.version
+      });
+      return { statusCode: 200, headers, body: exportBody(D, kind === 'heavy-duty' ? 'heavy-duty.csv' : kind) };
+    }
+
     // ====== CROSS-REFERENCE (ALL): ?xrefall=1 -> every cross reference WITH its Union SKU ======
     if (has('xrefall')) {
-      return { statusCode: 200, headers: CORS, body: D.xrefAllBody };
+      return prebuiltResponse(D, event, 'xrefall');
     }
 
     // ====== CROSS-REFERENCE MODE: ?xref=A,B,C -> OEM cross references for these SKUs ======
+    // Superseded SKUs answer for their replacement, which inherits the old SKU's OEM numbers.
     if (has('xref')) {
-      const wants = String(q.xref).split(',').map(lc).filter(Boolean);
-      const crossRef = dedupe(
-        gather(D.xrBySku, wants).map(r => ({
-          brand: (r.oembrand || r.brand || '').trim(),
-          part: (r.oempart || r.oempartnumber || r.part || '').trim()
-        })).filter(r => r.brand || r.part),
-        r => [r.brand, r.part].join('||')
+      const { skus, superseded } = resolveSkus(D.supersessions, String(q.xref).split(',').map(s => s.trim()).filter(Boolean));
+      const crossRef = crossRefsFor(D, skus);
+      if (!crossRef.length) await recordMiss(D, 'xref', q);
+      return ok(D, { skus, crossRef, superseded });
+    }
+
+    // ====== REVERSE CROSS-REFERENCE: ?oem=M131802[,RE504836][&brand=John Deere] -> Union SKUs ======
+    if (has('oem')) {
+      // Brands go through the make aliases on both sides, so "Deere" and "JD" find John Deere.
+      const wants = String(q.oem).split(',').map(partKey).filter(Boolean);
+      const brand = lc(canonical(D.aliases, 'make', q.brand));
+      const matches = dedupe(
+        gather(D.xrByPart, wants).filter(r => !has('brand') || lc(canonical(D.aliases, 'make', r.brand)) === brand),
+        r => [r.sku, r.brand, r.part].join('||')
       );
-      return { statusCode: 200, headers: CORS, body: JSON.stringify({ crossRef }) };
+      const { skus, superseded } = resolveSkus(D.supersessions, matches.map(r => r.sku));
+      if (!skus.length) await recordMiss(D, 'oem', q);
+      return ok(D, { skus, matches, superseded });
+    }
+
+    // ====== TEXT SEARCH: ?q=deere 2032r[&limit=20] -> ranked machine specs from both datasets ======
+    if (has('q')) {
+      const limit = Math.min(parseInt(q.limit) || 20, 100);
+      const results = searchText(D.text, expandAliases(D.aliases, q.q), limit);
+      return ok(D, { results });
+    }
+
+    // ====== AUTOCOMPLETE: ?suggest=M1318[&limit=10] -> Union SKUs / OEM part numbers starting with it ======
+    if (has('suggest')) {
+      const limit = Math.min(parseInt(q.limit) || 10, 50);
+      return ok(D, { suggestions: suggest(D.suggest, q.suggest, limit) });
+    }
+
+    // ====== FACET MODE: ?facet=model&category=...&make=...&type=... -> next dropdown's values + counts ======
+    // Without a category (or with "all") both datasets are faceted, like search, and every value
+    // is labelled with its dataset.
+    if (has('facet')) {
+      const facet = lc(q.facet);
+      const invalid = categoryError(q, has);
+      if (invalid) return invalid;
+      const category = categoryOf(q.category) || 'all';
+      const datasets = category !== 'all' ? [category] : datasetsFor(has);
+      const fields = [...new Set([].concat(...datasets.map(ds => SPEC_FIELDS[ds])))];
+      if (!fields.includes(facet)) {
+        return {
+          statusCode: 400,
+          headers: CORS,
+          body: JSON.stringify({ error: 'facet must be one of: ' + fields.join(', ') })
+        };
+      }
+      const results = datasets.filter(ds => SPEC_FIELDS[ds].includes(facet))
+        .map(ds => ({ dataset: ds, values: facetValues(D.dropdown[ds], SPEC_FIELDS[ds], facet, q) }));
+      if (category !== 'all') return ok(D, { facet, dataset: category, values: results[0].values, canonical: canon });
+
+      const found = results.filter(r => r.values.length);
+      const values = [].concat(...results.map(r => r.values.map(v => Object.assign({ dataset: r.dataset }, v))))
+        .sort((a, b) => a.value.localeCompare(b.value, undefined, { numeric: true, sensitivity: 'base' }) || a.dataset.localeCompare(b.dataset));
+      return ok(D, { facet, dataset: found.length === 1 ? found[0].dataset : 'all', values, canonical: canon });
     }
 
     // ====== SKU MODE: ?sku=A,B,C -> this product's machines from both CSVs ======
+    // ?group=type buckets the machines by each SKU's filter type; ?filterType=Oil,Air restricts the SKUs.
     if (has('sku') && !has('category') && !has('make') && !has('model') && !has('year')) {
-      const wants = String(q.sku).split(',').map(lc).filter(Boolean);
-      const heavyDuty = dedupe(
-        gather(D.hdBySku, wants).map(r => ({
-          make: r.make || '', type: r.type || '', submodel: r.submodel || '',
-          model: r.model || '', variant: r.variant || '', variant2: r.variant2 || ''
-        })),
-        r => [r.make, r.type, r.submodel, r.model, r.variant, r.variant2].join('||')
-      );
-      const automotive = dedupe(
-        gather(D.atBySku, wants).map(r => ({
-          year: r.year || '', make: r.make || '', model: r.model || '',
-          trim: r.trim || '', engine: r.engine || ''
-        })),
-        r => [r.year, r.make, r.model, r.trim, r.engine].join('||')
-      );
-      return { statusCode: 200, headers: CORS, body: JSON.stringify({ heavyDuty, automotive }) };
+      const resolved = resolveSkus(D.supersessions, String(q.sku).split(',').map(s => s.trim()).filter(Boolean));
+      const wants = withFilterType(D, resolved.skus, q);
+      const superseded = resolved.superseded;
+      const machines = skus => machinesForSkus(D, withPredecessors(D.supersessions, skus));
+      if (lc(q.group) === 'type') {
+        const groups = groupByFilterType(D.filterTypes, wants)
+          .map(g => Object.assign({ type: g.type, skus: g.skus }, machines(g.skus)));
+        return ok(D, { groups, superseded });
+      }
+      return ok(D, Object.assign({ skus: wants }, machines(wants), { superseded }));
+    }
+
+    // ====== KIT MODE: ?kit=1&make=...&model=...[&serial=...] -> service kit for one machine ======
+    if (has('kit')) {
+      const invalid = categoryError(q, has);
+      if (invalid) return invalid;
+      if (!has('make') && !has('model') && !has('year')) {
+        return { statusCode: 400, headers: CORS, body: JSON.stringify({ error: 'make, model or year is required' }) };
+      }
+      return ok(D, kitFor(D, q));
     }
 
     // ====== SEARCH MODE: machine params present -> matching SKUs ======
+    // Heavy-duty searches also accept ?serial=GH100500 to keep only the serial breaks containing it.
+    // Automotive searches also accept ?displacement=2.5&fuel=hybrid (plus cylinders, layout, aspiration).
+    // ?category=heavy-duty|automotive|all picks the dataset; without it both are searched unless a
+    // field only one of them has (type, serial, year, trim, ...) is given.
     if (has('category') || has('make') || has('model') || has('year')) {
-      const norm = v => (v == null ? '' : String(v).trim().toLowerCase());
-      const eq = (a, b) => norm(a) === norm(b);
-      const isHeavy = q.category === 'Heavy-Duty Machinery' || (has('type') && !has('year'));
-
-      let skus;
-      if (isHeavy) {
-        skus = D.hd.filter(r =>
-          (!has('make')     || eq(r.make, q.make)) &&
-          (!has('type')     || eq(r.type, q.type)) &&
-          (!has('submodel') || eq(r.submodel, q.submodel)) &&
-          (!has('model')    || eq(r.model, q.model)) &&
-          (!has('variant')  || eq(r.variant, q.variant)) &&
-          (!has('variant2') || eq(r.variant2, q.variant2))
-        ).map(r => r.sku);
-      } else {
-        skus = D.at.filter(r =>
-          (!has('year')   || eq(r.year, q.year)) &&
-          (!has('make')   || eq(r.make, q.make)) &&
-          (!has('model')  || eq(r.model, q.model)) &&
-          (!has('trim')   || eq(r.trim, q.trim)) &&
-          (!has('engine') || eq(r.engine, q.engine))
-        ).map(r => r.sku);
-      }
-
-      skus = [...new Set(skus.filter(s => s && s.trim() !== ''))];
-      return { statusCode: 200, headers: CORS, body: JSON.stringify({ skus }) };
-    }
-
-    // ====== DROPDOWN MODE: no params -> deduped machine specs (prebuilt) ======
-    return { statusCode: 200, headers: CORS, body: D.dropdownBody };
+      const invalid = categoryError(q, has);
+      if (invalid) return invalid;
+      const match = matchMachine(D, q);
+      const skus = match.skus;
+      const out = {
+        dataset: match.dataset,
+        datasets: match.datasets,
+        skus,
+        matches: match.matches,
+        ambiguity: match.ambiguity,
+        canonical: canon,
+        superseded: match.superseded.filter(x => skus.includes(x.replacement))
+      };
+      if (lc(q.group) === 'type') out.groups = groupByFilterType(D.filterTypes, skus);
+      if (!skus.length) await recordMiss(D, 'search', q);
+      return ok(D, out);
+    }
+
+    // ====== DROPDOWN MODE: no params -> deduped machine specs (prebuilt, ETag + compressed) ======
+    return prebuiltResponse(D, event, 'dropdown');
   } catch (e) {
     return {
       statusCode: 500,
@@ -220,3 +1665,17 @@ exports.handler = async (event) => {
     };
   }
 };
+
+// Shared with equipment-save.js so saved machines match exactly like the fitment API,
+// and with scripts/ so catalog tooling parses the CSVs the same way.
+exports.getData = getData;
+exports.parseCsv = parseCsv;
+exports.parseSerialRanges = parseSerialRanges;
+exports.CATALOG_FILES = CATALOG_FILES;
+exports.buildCatalog = buildCatalog;
+exports.diffCatalogs = diffCatalogs;
+exports.matchMachine = matchMachine;
+exports.matchFleet = matchFleet;
+exports.kitFor = kitFor;
+exports.validateMachine = validateMachine;
+exports.crossRefsFor = crossRefsFor;
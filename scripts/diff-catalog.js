@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * diff-catalog.js
+ * Compares two directories of fitment CSVs (e.g. live vs. a supplier update)
+ *
+ * Usage: node scripts/diff-catalog.js <from-dir> <to-dir> [--json]
+ *   Prints added/removed SKUs, machines that gained or lost SKUs and changed cross references
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildCatalog, diffCatalogs, CATALOG_FILES } = require('../netlify/functions/fitment');
+
+const MAX_LISTED = 50;
+
+function loadDir(dir) {
+  const files = {};
+  for (const f of CATALOG_FILES) {
+    try { files[f] = fs.readFileSync(path.join(dir, f), 'utf8'); }
+    catch (e) { files[f] = ''; }
+  }
+  return buildCatalog({ version: path.resolve(dir), files });
+}
+
+function machineLabel(m) {
+  return m.dataset === 'heavyDuty'
+    ? [m.make, m.type, m.submodel, m.model, m.variant, m.variant2].filter(Boolean).join(' / ')
+    : [m.year, m.make, m.model, m.trim, m.engine].filter(Boolean).join(' / ');
+}
+
+function formatDiff(diff) {
+  const lines = ['Catalog diff: ' + diff.from + ' -> ' + diff.to, ''];
+  const section = (title, items, fmt) => {
+    lines.push(title + ' (' + items.length + ')');
+    items.slice(0, MAX_LISTED).forEach(it => lines.push('  ' + fmt(it)));
+    if (items.length > MAX_LISTED) lines.push('  ... and ' + (items.length - MAX_LISTED) + ' more');
+  };
+  section('SKUs added', diff.skus.added, s => '+ ' + s);
+  section('SKUs removed', diff.skus.removed, s => '- ' + s);
+  section('Machines added', diff.machines.added, m => '+ ' + machineLabel(m));
+  section('Machines removed', diff.machines.removed, m => '- ' + machineLabel(m) + ' [' + m.skus.join(', ') + ']');
+  section('Machines changed', diff.machines.changed, c => '~ ' + machineLabel(c.machine) +
+    (c.added.length ? ' +' + c.added.join(' +') : '') + (c.removed.length ? ' -' + c.removed.join(' -') : ''));
+  section('Cross references added', diff.crossRefs.added, r => '+ ' + r.sku + ' = ' + r.brand + ' ' + r.part);
+  section('Cross references removed', diff.crossRefs.removed, r => '- ' + r.sku + ' = ' + r.brand + ' ' + r.part);
+  return lines.join('\n');
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const dirs = args.filter(a => !a.startsWith('--'));
+  if (dirs.length !== 2) {
+    console.error('Usage: node scripts/diff-catalog.js <from-dir> <to-dir> [--json]');
+    process.exit(2);
+  }
+  const diff = diffCatalogs(loadDir(dirs[0]), loadDir(dirs[1]));
+  console.log(args.includes('--json') ? JSON.stringify(diff, null, 2) : formatDiff(diff));
+}
+
+module.exports = { formatDiff };
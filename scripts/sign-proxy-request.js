@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * sign-proxy-request.js
+ * Signs a query string the way the Shopify App Proxy does, so storefront calls to
+ * equipment-save can be exercised locally (netlify dev) without going through Shopify
+ *
+ * Usage: SHOPIFY_APP_PROXY_SECRET=... node scripts/sign-proxy-request.js [--customer ID] [--shop DOMAIN]
+ *          [--url BASE] [key=value ...]
+ *   --customer  logged_in_customer_id to sign for (omit to act as a signed-out visitor)
+ *   --shop      defaults to SHOPIFY_STORE_DOMAIN or example.myshopify.com
+ *   --url       base URL to prefix, e.g. http://localhost:8888/.netlify/functions/equipment-save
+ *
+ * Example:
+ *   node scripts/sign-proxy-request.js --customer 123 --url http://localhost:8888/.netlify/functions/equipment-save action=get-customer
+ */
+
+const { proxySignature } = require('../netlify/functions/equipment-save');
+
+function signProxyQuery(params, secret) {
+  const query = Object.assign({
+    shop: process.env.SHOPIFY_STORE_DOMAIN || 'example.myshopify.com',
+    logged_in_customer_id: '',
+    path_prefix: '/apps/equipment',
+    timestamp: String(Math.floor(Date.now() / 1000))
+  }, params);
+  query.signature = proxySignature(query, secret);
+  return Object.keys(query).map(k => encodeURIComponent(k) + '=' + encodeURIComponent(query[k])).join('&');
+}
+
+if (require.main === module) {
+  const secret = process.env.SHOPIFY_APP_PROXY_SECRET;
+  if (!secret) {
+    console.error('SHOPIFY_APP_PROXY_SECRET must be set (the same value the function uses)');
+    process.exit(1);
+  }
+  const args = process.argv.slice(2);
+  const params = {};
+  let url = '';
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--customer') params.logged_in_customer_id = args[++i] || '';
+    else if (args[i] === '--shop') params.shop = args[++i] || '';
+    else if (args[i] === '--url') url = args[++i] || '';
+    else if (args[i].includes('=')) {
+      const eq = args[i].indexOf('=');
+      params[args[i].slice(0, eq)] = args[i].slice(eq + 1);
+    }
+  }
+  const qs = signProxyQuery(params, secret);
+  console.log(url ? url + (url.includes('?') ? '&' : '?') + qs : qs);
+}
+
+module.exports = { signProxyQuery };
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * validate-catalog.js
+ * Checks the fitment CSVs before they ship, using the same parser as fitment.js
+ *
+ * Usage: node scripts/validate-catalog.js [catalog-dir] [--strict]
+ *   catalog-dir defaults to netlify/functions
+ *   Exits 1 when any error is found (with --strict, any warning too)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv, parseSerialRanges } = require('../netlify/functions/fitment');
+
+const MAX_LISTED = 25; // per check, so one bad column doesn't bury the rest of the report
+
+// Required columns per file (normalized header names, any one of each group)
+const FILES = {
+  'heavy-duty.csv': { required: [['sku'], ['make'], ['model']] },
+  'automotive-trucks.csv': { required: [['sku'], ['year'], ['make'], ['model']] },
+  'cross-reference.csv': { required: [['unionsku', 'sku'], ['oembrand', 'brand'], ['oempart', 'oempartnumber', 'part']] }
+};
+
+const xrSku = r => (r.unionsku || r.sku || '').trim();
+const xrPart = r => (r.oempart || r.oempartnumber || r.part || '').trim();
+const near = s => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function validateCatalog(dir) {
+  const report = [];
+  const add = (severity, check, file, message) => report.push({ severity, check, file, message });
+  const rows = {};
+
+  // ---------- Files and headers ----------
+  for (const file of Object.keys(FILES)) {
+    let text;
+    try {
+      text = fs.readFileSync(path.join(dir, file), 'utf8');
+    } catch (e) {
+      add('error', 'file', file, 'cannot read: ' + e.message);
+      rows[file] = [];
+      continue;
+    }
+    rows[file] = parseCsv(text);
+    if (!rows[file].length) {
+      add('error', 'file', file, 'no data rows');
+      continue;
+    }
+    const headers = Object.keys(rows[file][0]);
+    for (const group of FILES[file].required) {
+      if (!group.some(h => headers.includes(h))) add('error', 'file', file, 'missing column: ' + group[0]);
+    }
+  }
+
+  const hd = rows['heavy-duty.csv'];
+  const at = rows['automotive-trucks.csv'];
+  const xr = rows['cross-reference.csv'];
+  // Row numbers are 1-based file rows, counting the header
+  const where = (i) => 'row ' + (i + 2);
+
+  // ---------- Missing required values ----------
+  hd.forEach((r, i) => {
+    const missing = ['sku', 'make', 'model'].filter(f => !r[f]);
+    if (missing.length) add('error', 'missing', 'heavy-duty.csv', where(i) + ': missing ' + missing.join(', '));
+  });
+  at.forEach((r, i) => {
+    const missing = ['sku', 'year', 'make', 'model'].filter(f => !r[f]);
+    if (missing.length) add('error', 'missing', 'automotive-trucks.csv', where(i) + ': missing ' + missing.join(', '));
+  });
+  xr.forEach((r, i) => {
+    if (!xrSku(r)) add('error', 'missing', 'cross-reference.csv', where(i) + ': missing Union SKU');
+    else if (!xrPart(r) || /^empty$/i.test(xrPart(r))) add('warning', 'missing', 'cross-reference.csv', where(i) + ': ' + xrSku(r) + ' has no OEM part #');
+  });
+
+  // ---------- S/N syntax ----------
+  // Component serials (transmission, engine) are deliberately not parsed, so only machine S/N text counts.
+  const serials = new Map(); // machine key -> Map(variant text -> ranges)
+  hd.forEach((r, i) => {
+    for (const f of ['variant', 'variant2']) {
+      const v = r[f] || '';
+      if (!/S\/N/i.test(v)) continue;
+      const ranges = parseSerialRanges(v);
+      if (!ranges.length) {
+        if (!/trans|engine|eng\./i.test(v)) add('warning', 'serial', 'heavy-duty.csv', where(i) + ': unrecognised S/N syntax "' + v + '"');
+        continue;
+      }
+      if (f !== 'variant') continue;
+      const key = [r.make, r.type, r.submodel, r.model, r.variant2].map(near).join('|');
+      if (!serials.has(key)) serials.set(key, { label: [r.make, r.type, r.model].join(' '), variants: new Map() });
+      serials.get(key).variants.set(v, ranges);
+    }
+  });
+
+  // ---------- Overlapping serial ranges for the same model ----------
+  // Variants with identical ranges differ by another qualifier (engine, micron rating) and
+  // two ranges open on the same side are cumulative listings, so neither is reported.
+  const overlaps = (a, b) =>
+    (a.pin || '') === (b.pin || '') && a.prefix === b.prefix &&
+    !((a.end == null && b.end == null) || (a.start == null && b.start == null)) &&
+    (a.start == null ? -Infinity : a.start) <= (b.end == null ? Infinity : b.end) &&
+    (b.start == null ? -Infinity : b.start) <= (a.end == null ? Infinity : a.end);
+  for (const { label, variants } of serials.values()) {
+    const list = [...variants.entries()];
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const [va, ra] = list[i];
+        const [vb, rb] = list[j];
+        if (JSON.stringify(ra) === JSON.stringify(rb)) continue;
+        if (ra.some(a => rb.some(b => overlaps(a, b)))) {
+          add('warning', 'overlap', 'heavy-duty.csv', label + ': "' + va + '" overlaps "' + vb + '"');
+        }
+      }
+    }
+  }
+
+  // ---------- SKUs missing from the other side ----------
+  const fitSkus = new Set([...hd, ...at].map(r => (r.sku || '').trim().toUpperCase()).filter(Boolean));
+  const xrSkus = new Set(xr.map(r => xrSku(r).toUpperCase()).filter(Boolean));
+  for (const sku of fitSkus) {
+    if (!xrSkus.has(sku)) add('warning', 'xref', 'cross-reference.csv', sku + ' is in the fitment files but has no cross reference');
+  }
+  for (const sku of xrSkus) {
+    if (!fitSkus.has(sku)) add('warning', 'xref', 'cross-reference.csv', sku + ' is cross-referenced but fits no machine');
+  }
+
+  // ---------- Exact and near-duplicate rows ----------
+  for (const file of Object.keys(FILES)) {
+    const exact = new Map();
+    const loose = new Map();
+    rows[file].forEach((r, i) => {
+      const values = Object.keys(r).map(k => r[k]);
+      const e = values.join('\u0001');
+      const n = values.map(near).join('|');
+      if (exact.has(e)) add('warning', 'duplicate', file, where(i) + ': exact duplicate of ' + where(exact.get(e)));
+      else if (loose.has(n)) add('warning', 'duplicate', file, where(i) + ': near-duplicate of ' + where(loose.get(n)) + ' (case/punctuation differ)');
+      if (!exact.has(e)) exact.set(e, i);
+      if (!loose.has(n)) loose.set(n, i);
+    });
+  }
+
+  return report;
+}
+
+function formatReport(report) {
+  const lines = [];
+  const groups = new Map();
+  for (const item of report) {
+    const k = item.severity + ' ' + item.check;
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(item);
+  }
+  for (const [k, items] of groups) {
+    lines.push(k.toUpperCase() + ' (' + items.length + ')');
+    items.slice(0, MAX_LISTED).forEach(it => lines.push('  ' + it.file + ' ' + it.message));
+    if (items.length > MAX_LISTED) lines.push('  ... and ' + (items.length - MAX_LISTED) + ' more');
+  }
+  const errors = report.filter(r => r.severity === 'error').length;
+  lines.push('', errors + ' error(s), ' + (report.length - errors) + ' warning(s)');
+  return lines.join('\n');
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const strict = args.includes('--strict');
+  const dir = args.find(a => !a.startsWith('--')) || path.join(__dirname, '..', 'netlify', 'functions');
+  const report = validateCatalog(dir);
+  console.log(formatReport(report));
+  const failed = report.some(r => r.severity === 'error' || strict);
+  process.exit(failed ? 1 : 0);
+}
+
+module.exports = { validateCatalog, formatReport };